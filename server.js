@@ -1,310 +1,2056 @@
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const { createBackendRouter, upstreamProtocols } = require('./src/backends');
+const { loadConfig, watchConfig } = require('./src/config');
+const { createModelCatalog } = require('./src/models');
+const { createModelStore } = require('./src/model-store');
+const { parseModelfile, formatModelfile } = require('./src/modelfile');
+const { createMetrics } = require('./src/metrics');
+const { createCircuitBreaker, sendWithFailover } = require('./src/failover');
+const { createRequestQueue, parsePriority } = require('./src/queue');
+const { createKeyUsageStore, createAccessControl } = require('./src/api-keys');
+const { createLogger, logLevels } = require('./src/logger');
+const { createCaptureWriter } = require('./src/capture');
+const { createRecordingAdapter, createReplayAdapter } = require('./src/cassette');
+const { createFakeUpstreamAdapter } = require('./src/fake-upstream');
+const { renderTemplate } = require('./src/prompt-template');
+const { createSessionStore } = require('./src/sessions');
+const { parsePrompt, promptFormatNames } = require('./src/prompt-formats');
+const { fitMessages } = require('./src/context-window');
+const { postAnthropicMessages, getAnthropicModel } = require('./src/anthropic');
 
 // Parse command line arguments
 const argv = yargs(hideBin(process.argv))
   .usage('Usage: node server.js --ollama-host HOST --ollama-port PORT --openai-host HOST --openai-port PORT --openai-key KEY')
+  .option('config', {
+    alias: 'c',
+    describe: 'JSON or YAML config file, reloaded on change and on SIGHUP (command line flags and environment variables take precedence)',
+    type: 'string'
+  })
   .option('ollama-host', {
     alias: 'oh',
     describe: 'Ollama host to expose (accepts Ollama API requests)',
     type: 'string',
-    default: 'localhost'
+    defaultDescription: 'localhost'
   })
   .option('ollama-port', {
     alias: 'op',
     describe: 'Ollama port to expose',
     type: 'number',
-    default: 11434
+    defaultDescription: '11434'
   })
   .option('openai-host', {
     alias: 'oah',
     describe: 'OpenAI API host to forward requests to',
     type: 'string',
-    default: 'https://api.openai.com'
+    defaultDescription: 'https://api.openai.com'
   })
   .option('openai-port', {
     alias: 'oap',
     describe: 'OpenAI API port',
     type: 'number',
-    default: 443
+    defaultDescription: '443'
+  })
+  .option('openai-timeout', {
+    alias: 'oat',
+    describe: 'OpenAI API request timeout in milliseconds',
+    type: 'number',
+    defaultDescription: '30000'
+  })
+  .option('backends', {
+    alias: 'b',
+    describe: 'JSON file with additional OpenAI-compatible backends and the models routed to them',
+    type: 'string'
+  })
+  .option('upstream-protocol', {
+    alias: 'upr',
+    describe: 'API the upstream speaks: the OpenAI API or the Anthropic Messages API',
+    type: 'string',
+    choices: upstreamProtocols,
+    defaultDescription: 'openai'
+  })
+  .option('max-concurrent', {
+    alias: 'mc',
+    describe: 'Maximum number of requests sent to the upstream at once, e.g. the llama.cpp --parallel slots (0 for no limit)',
+    type: 'number',
+    defaultDescription: '0'
+  })
+  .option('max-queue', {
+    alias: 'mq',
+    describe: 'Maximum number of requests waiting for the upstream before new ones are rejected',
+    type: 'number',
+    defaultDescription: '100'
+  })
+  .option('queue-timeout', {
+    alias: 'qt',
+    describe: 'How long a request may wait for the upstream, in milliseconds',
+    type: 'number',
+    defaultDescription: '60000'
+  })
+  .option('retries', {
+    alias: 'rt',
+    describe: 'How many times to retry an upstream request after a connection error or a 429, 502, 503 or 529 response',
+    type: 'number',
+    defaultDescription: '2'
   })
   .option('openai-key', {
     alias: 'oak',
     describe: 'OpenAI API key',
+    type: 'string'
+  })
+  .option('default-model', {
+    alias: 'dm',
+    describe: 'Model used when a request leaves the model name empty',
+    type: 'string',
+    defaultDescription: 'gpt-3.5-turbo'
+  })
+  .option('data-dir', {
+    alias: 'dd',
+    describe: 'Directory for persistent data such as models created with /api/create',
+    type: 'string',
+    defaultDescription: 'data'
+  })
+  .option('split-think-tags', {
+    alias: 'stt',
+    describe: 'Move inline <think>...</think> blocks out of the content into the Ollama thinking field',
+    type: 'boolean',
+    defaultDescription: 'false'
+  })
+  .option('legacy-stream', {
+    alias: 'ls',
+    describe: 'Stream chat responses the old way (text/event-stream with a [DONE] line) for clients that rely on it',
+    type: 'boolean',
+    defaultDescription: 'false'
+  })
+  .option('max-image-size', {
+    alias: 'mis',
+    describe: 'Maximum size of a single image in megabytes',
+    type: 'number',
+    defaultDescription: '20'
+  })
+  .option('validate-format', {
+    alias: 'vf',
+    describe: 'Validate non-streaming structured output against the requested format and report it in the X-Format-Validation header',
+    type: 'boolean',
+    defaultDescription: 'false'
+  })
+  .option('options-mode', {
+    alias: 'om',
+    describe: 'How to treat unknown Ollama options: drop them (lenient), reject the request (strict) or forward them as-is (passthrough)',
+    type: 'string',
+    choices: ['lenient', 'strict', 'passthrough'],
+    defaultDescription: 'lenient'
+  })
+  .option('log-level', {
+    alias: 'll',
+    describe: 'Log level of the JSON logs (debug also logs every translated request)',
+    type: 'string',
+    choices: logLevels,
+    defaultDescription: 'info'
+  })
+  .option('capture-file', {
+    alias: 'cf',
+    describe: 'Append every Ollama request, translated request and upstream response to this JSONL file',
+    type: 'string'
+  })
+  .option('mock', {
+    alias: 'mk',
+    describe: 'Record upstream exchanges to a cassette, replay them instead of calling the upstream, or answer from the built-in fake upstream',
+    type: 'string',
+    choices: ['off', 'record', 'replay', 'fake'],
+    defaultDescription: 'off'
+  })
+  .option('cassette', {
+    alias: 'cas',
+    describe: 'Cassette file written in record mode and read in replay mode',
+    type: 'string'
+  })
+  .option('fake-script', {
+    alias: 'fks',
+    describe: 'JSON or YAML file with the scripted replies of the fake upstream',
+    type: 'string'
+  })
+  .option('fim-endpoint', {
+    alias: 'fe',
+    describe: 'Where fill-in-the-middle requests (generate with a suffix) go: the OpenAI /v1/completions suffix field or llama.cpp /infill',
+    type: 'string',
+    choices: ['completions', 'infill'],
+    defaultDescription: 'completions'
+  })
+  .option('prompt-format', {
+    alias: 'pf',
+    describe: 'How to read generate prompts pre-rendered with a chat template: detect the format, never parse them, or always use one format',
+    type: 'string',
+    choices: promptFormatNames,
+    defaultDescription: 'auto'
+  })
+  .option('context-window', {
+    alias: 'cw',
+    describe: 'Fit chat and generate conversations into the context size (num_ctx) by dropping or summarizing the oldest turns',
     type: 'string',
-    demandOption: true
+    choices: ['off', 'trim', 'summarize'],
+    defaultDescription: 'off'
+  })
+  .option('context-size', {
+    alias: 'cs',
+    describe: 'Context size in tokens for requests that set no num_ctx option (0 for none)',
+    type: 'number',
+    defaultDescription: '0'
+  })
+  .option('session-ttl', {
+    alias: 'st',
+    describe: 'How long a /api/generate conversation can be continued through its context after the last turn, in milliseconds',
+    type: 'number',
+    defaultDescription: '1800000'
+  })
+  .option('max-sessions', {
+    alias: 'ms',
+    describe: 'Maximum number of /api/generate conversations kept for their context, the least recently used are dropped (0 turns contexts off)',
+    type: 'number',
+    defaultDescription: '1000'
+  })
+  .option('persist-sessions', {
+    alias: 'ps',
+    describe: 'Keep /api/generate conversations across restarts in the data directory',
+    type: 'boolean',
+    defaultDescription: 'false'
+  })
+  .option('llama-extensions', {
+    alias: 'le',
+    describe: 'Forward options without an OpenAI equivalent as llama.cpp extension fields (disable for strict OpenAI upstreams)',
+    type: 'boolean',
+    defaultDescription: 'true'
   })
   .example('node server.js --oh 0.0.0.0 --op 11435 --oah 192.168.1.104 --oap 5000 --oak 123', 'Run with custom configuration')
   .example('node server.js --oh localhost --op 11434 --oah https://api.openai.com --oap 443 --oak sk-xxxxxxxx', 'Run with default settings')
+  .example('OPENAI_API_KEY=sk-xxxxxxxx node server.js --config config.yaml', 'Run with a config file')
   .argv;
 
+// Resolve configuration from the config file, environment variables and command line flags
+let config;
+
+// JSON logs, at the level of the current configuration
+const logger = createLogger(() => (config ? config.logging.level : 'info'));
+
+// Helper function to create the axios adapter that replaces the network in record, replay and fake modes
+const createUpstreamAdapter = (mock) => {
+  if (mock.mode === 'record') {
+    return createRecordingAdapter(mock.cassette);
+  }
+  if (mock.mode === 'replay') {
+    return createReplayAdapter(mock.cassette);
+  }
+  if (mock.mode === 'fake') {
+    return createFakeUpstreamAdapter(mock.script);
+  }
+  return undefined;
+}
+
+// Every backend shares the adapter, so a cassette holds the exchanges of all of them
+let upstreamAdapter;
+
+try {
+  config = loadConfig(argv);
+  upstreamAdapter = createUpstreamAdapter(config.mock);
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
 // Create Express app
 const app = express();
-const ollamaPort = argv.ollamaPort;
-const ollamaHost = argv.ollamaHost;
+const ollamaPort = config.listen.port;
+const ollamaHost = config.listen.host;
+
+// Request/response capture for debugging translations, off unless a capture file is configured
+const captureWriter = createCaptureWriter(() => config.logging.capture);
+
+// Helper function to get the ID of a request, taken from the client's X-Request-Id header when it is usable
+const getRequestId = (req) => {
+  const requestId = req.get('X-Request-Id');
+  return requestId && /^[\w.:-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+}
+
+// Give every request an ID, returned in the X-Request-Id header and added to its log entries. Once the
+// response is over the request is logged and, when capturing, written to the capture file.
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const requestId = getRequestId(req);
+  res.set('X-Request-Id', requestId);
+  res.locals.requestId = requestId;
+  res.locals.log = logger.child({ requestId: requestId });
+  res.locals.capture = captureWriter.isEnabled() ? {} : null;
+
+  res.on('close', () => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6);
+    // Health checks and metric scrapes would drown out the requests that matter
+    const level = req.path === '/metrics' || req.path.startsWith('/health') ? 'debug' : 'info';
+    res.locals.log[level]('request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: durationMs,
+      model: req.body?.model || req.body?.name || undefined,
+      backend: res.locals.backend,
+      errorType: res.locals.errorType,
+      cancelled: !res.writableFinished || undefined
+    });
+
+    const capture = res.locals.capture;
+    if (capture && capture.openaiRequest) {
+      try {
+        captureWriter.write({
+          time: new Date().toISOString(),
+          requestId: requestId,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: durationMs,
+          ollamaRequest: req.body,
+          ...capture
+        });
+      } catch (error) {
+        res.locals.log.error('cannot write the capture file', { file: config.logging.capture.file, error: error.message });
+      }
+    }
+  });
+  next();
+});
+
+// Middleware
+app.use(express.json({ limit: '100mb' }));
+
+// Helper function to create the backend router for a configuration, the upstream serves every model not routed elsewhere
+const createConfiguredBackendRouter = (currentConfig) => createBackendRouter(currentConfig.backends, {
+  name: 'default',
+  url: currentConfig.upstream.url,
+  apiKey: currentConfig.upstream.apiKey,
+  timeout: currentConfig.upstream.timeout,
+  maxConcurrent: currentConfig.upstream.maxConcurrent,
+  maxQueue: currentConfig.upstream.maxQueue,
+  queueTimeout: currentConfig.upstream.queueTimeout,
+  protocol: currentConfig.upstream.protocol
+}, upstreamAdapter);
+
+// OpenAI API backends
+let backendRouter = createConfiguredBackendRouter(config);
+
+// Models created with /api/create and /api/copy
+const modelStore = createModelStore(path.join(config.dataDir, 'models.json'));
+
+// Default model, aliases and virtual models
+let modelCatalog = createModelCatalog(config, modelStore);
+
+// Request metrics, reported on /metrics
+const metrics = createMetrics();
+
+// Help texts of the metrics
+const metricDescriptions = {
+  ollama_proxy_requests_total: 'Requests by route, model, backend and HTTP status',
+  ollama_proxy_request_duration_seconds: 'Request duration by route, model and backend',
+  ollama_proxy_time_to_first_token_seconds: 'Time until the first token of streamed responses',
+  ollama_proxy_requests_in_flight: 'Requests being handled',
+  ollama_proxy_prompt_tokens_total: 'Prompt tokens by route, model and backend',
+  ollama_proxy_completion_tokens_total: 'Completion tokens by route, model and backend',
+  ollama_proxy_errors_total: 'Failed requests by route, model, backend and error type',
+  ollama_proxy_cancelled_requests_total: 'Requests whose client disconnected before the response was complete',
+  ollama_proxy_upstream_retries_total: 'Retried upstream requests by backend',
+  ollama_proxy_upstream_failovers_total: 'Requests that failed over from a backend to a fallback',
+  ollama_proxy_circuit_breaker_opened_total: 'Times a backend was taken out of rotation after repeated failures',
+  ollama_proxy_circuit_breaker_skipped_total: 'Requests that skipped a backend while it was cooling down',
+  ollama_proxy_queue_depth: 'Requests waiting for a free upstream slot by backend',
+  ollama_proxy_active_requests: 'Requests running against a backend',
+  ollama_proxy_queue_wait_seconds: 'Time requests waited for a free upstream slot',
+  ollama_proxy_queue_rejected_total: 'Requests rejected because the queue was full or the wait timed out',
+  ollama_proxy_auth_rejected_total: 'Requests rejected by API key checks by HTTP status',
+  ollama_proxy_api_key_tokens_total: 'Tokens used by API key'
+}
+for (const [name, help] of Object.entries(metricDescriptions)) {
+  metrics.describe(name, help);
+}
+
+// Model of embeddings requests that name none, as the chat default model is no embedding model
+const defaultEmbeddingModel = 'text-embedding-3-small';
+
+// Endpoints that run a model and count against the token quota
+const inferencePaths = ['/generate', '/chat', '/embed', '/embeddings'];
+
+// Endpoints that use a model, the default one when the request names none
+const modelPaths = [...inferencePaths, '/show'];
+
+// Helper function to get the model an endpoint (a path below /api) uses when the request names none, if any
+const defaultModelFor = (endpoint) => {
+  if (!modelPaths.includes(endpoint)) {
+    return undefined;
+  }
+  return endpoint.startsWith('/embed') ? defaultEmbeddingModel : config.defaultModel;
+}
+
+// Models the upstreams listed, which the model metric label may name
+const listedModels = new Set();
+
+// Helper function to remember the models of an upstream listing, with their backend's prefix
+const addListedModels = (backend, response) => {
+  (response.data.data || []).forEach(model => listedModels.add(`${backend.prefix}${model.id}`));
+}
+
+// Helper function to learn the models every backend lists, at startup and after a configuration reload
+const refreshListedModels = () => {
+  for (const backend of backendRouter.backends) {
+    backend.client.get('/v1/models', { timeout: 5000 })
+      .then(response => addListedModels(backend, response))
+      .catch(error => logger.debug(`cannot list the models of backend ${backend.name}`, { error: error.message }));
+  }
+}
+
+// Helper function to check whether the proxy knows a model: the default model, an alias or virtual model or
+// its target, a model named in a backend's list or one an upstream listed
+const isKnownModel = (model) => model === config.defaultModel
+  || listedModels.has(model)
+  || backendRouter.backends.some(backend => backend.exactModels.includes(model))
+  || modelCatalog.list().some(entry => entry.name === model || entry.target === model);
+
+// Helper function to get the model label of a request: the upstream model the requested name resolves to,
+// or 'other' for a model the proxy doesn't know, so that made-up names can't add series without end
+const modelLabel = (req) => {
+  const requested = req.body?.model || req.body?.name || (req.route ? defaultModelFor(req.route.path.replace(/^\/api/, '')) : undefined);
+  if (requested === undefined) {
+    return '';
+  }
+  const { model } = typeof requested === 'string' ? modelCatalog.resolve(requested) : {};
+  return isKnownModel(model) ? model : 'other';
+}
+
+// Helper function to get the metric labels of a request: its route, the model asked for and the backend that served it
+const requestLabels = (req) => ({
+  route: req.route ? req.route.path : 'unmatched',
+  model: modelLabel(req),
+  backend: req.res.locals.backend || ''
+});
+
+// Helper function to classify a failed request for the error metrics
+const classifyError = (error) => {
+  if (error.code === 'ECONNABORTED') {
+    return 'timeout';
+  }
+  if (error.response) {
+    return 'upstream_status';
+  }
+  if (error.status) {
+    return error.status >= 500 ? 'unavailable' : 'invalid_request';
+  }
+  return 'server_error';
+}
+
+// Helper function to log why a request failed and classify it for the error metrics. Client errors are
+// warnings, everything else is an error; unexpected failures include the stack trace.
+const recordError = (res, error) => {
+  res.locals.errorType = classifyError(error);
+  const status = error.response ? error.response.status : error.status || (error.code === 'ECONNABORTED' ? 504 : 500);
+  const details = {
+    errorType: res.locals.errorType,
+    status: status,
+    error: error.message,
+    code: error.code,
+    backend: res.locals.backend
+  }
+  if (error.response) {
+    details.upstreamError = error.response.data;
+    if (res.locals.capture) {
+      res.locals.capture.upstreamStatus = error.response.status;
+      res.locals.capture.upstreamError = error.response.data;
+    }
+  } else if (res.locals.errorType === 'server_error') {
+    details.stack = error.stack;
+  }
+  res.locals.log[status >= 500 ? 'error' : 'warn']('request failed', details);
+}
+
+// Count every request with its duration, time to first token and error type once the response is over
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  metrics.addGauge('ollama_proxy_requests_in_flight', {}, 1);
+  res.on('close', () => {
+    metrics.addGauge('ollama_proxy_requests_in_flight', {}, -1);
+    const labels = requestLabels(req);
+    metrics.increment('ollama_proxy_requests_total', { ...labels, status: String(res.statusCode) });
+    metrics.observe('ollama_proxy_request_duration_seconds', labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+
+    const timing = res.locals.timing;
+    if (timing && timing.firstTokenAt) {
+      metrics.observe('ollama_proxy_time_to_first_token_seconds', labels, Number(timing.firstTokenAt - timing.startedAt) / 1e9);
+    }
+    if (res.locals.errorType) {
+      metrics.increment('ollama_proxy_errors_total', { ...labels, type: res.locals.errorType });
+    }
+  });
+  next();
+});
+
+// Inbound API keys and their usage, which is kept in the data directory
+const keyUsageStore = createKeyUsageStore(path.join(config.dataDir, 'api-keys.json'));
+let accessControl = createAccessControl(config.apiKeys, keyUsageStore);
+process.on('exit', () => keyUsageStore.flush());
+
+// /api/generate conversations continued through the context field, optionally kept in the data directory
+const sessionStore = createSessionStore(path.join(config.dataDir, 'sessions.json'), () => config.sessions);
+process.on('exit', () => sessionStore.flush());
+
+// Endpoints that change the models, open to admin API keys only
+const modelManagementPaths = ['/create', '/copy', '/delete'];
+
+// Helper function to list the models a request uses, for the access check: the requested names and the
+// upstream models they resolve to, so that an alias or a virtual model can't reach a model the key may not
+// use. Endpoints that use a model fall back to the default model when the request names none.
+const requestedModels = (req) => {
+  const body = req.body || {};
+  const model = body.model || body.name || defaultModelFor(req.path);
+  const names = [model, body.from, body.source, body.destination].filter(Boolean);
+  return [...new Set(names.flatMap(name => [name, modelCatalog.resolve(name).model]))];
+}
+
+// When API keys are configured, every /api request needs a valid key that may use the requested models
+// and is within its limits. Rejections use Ollama's error body with a 401, 403 or 429 status.
+app.use('/api', (req, res, next) => {
+  if (!accessControl.enabled) {
+    next();
+    return;
+  }
+  try {
+    req.apiKey = accessControl.authenticate(req.get('Authorization'));
+    accessControl.admit(req.apiKey, requestedModels(req), {
+      manage: modelManagementPaths.includes(req.path),
+      usesTokens: inferencePaths.includes(req.path)
+    });
+    next();
+  } catch (error) {
+    metrics.increment('ollama_proxy_auth_rejected_total', { status: String(error.status) });
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.status).json({
+      error: error.message
+    });
+  }
+});
+
+// Helper function to count the tokens of a finished response in the metrics and against the API key of the request
+const recordUsage = (req, ollamaResponse) => {
+  const promptTokens = ollamaResponse.prompt_eval_count || 0;
+  const completionTokens = ollamaResponse.eval_count || 0;
+  metrics.increment('ollama_proxy_prompt_tokens_total', requestLabels(req), promptTokens);
+  metrics.increment('ollama_proxy_completion_tokens_total', requestLabels(req), completionTokens);
+
+  if (req.apiKey) {
+    const tokens = promptTokens + completionTokens;
+    accessControl.recordTokens(req.apiKey, tokens);
+    metrics.increment('ollama_proxy_api_key_tokens_total', { key: req.apiKey.name }, tokens);
+  }
+  return ollamaResponse;
+}
+
+// Helper function to resolve the model of an embeddings request, keeping the chat default model out of it
+const resolveEmbeddingModel = (model) => (model ? modelCatalog.resolve(model).model : model);
+
+// Circuit breaker state of every backend, kept across configuration reloads
+const circuitBreaker = createCircuitBreaker();
+
+// Metrics and log messages for the events of sendWithFailover
+const upstreamEvents = {
+  retry: {
+    metric: 'ollama_proxy_upstream_retries_total',
+    message: (details) => `Retrying ${details.model} on backend ${details.backend} in ${details.delay} ms (attempt ${details.attempt}, ${details.reason})`
+  },
+  failover: {
+    metric: 'ollama_proxy_upstream_failovers_total',
+    message: (details) => `Backend ${details.backend} failed for ${details.model}, failing over to backend ${details.next}`
+  },
+  circuit_open: {
+    metric: 'ollama_proxy_circuit_breaker_opened_total',
+    message: (details) => `Backend ${details.backend} keeps failing, skipping it for ${details.cooldown} ms`
+  },
+  skipped: {
+    metric: 'ollama_proxy_circuit_breaker_skipped_total',
+    message: (details) => `Skipping backend ${details.backend} for ${details.model} while it cools down`
+  }
+}
+
+// Request queue of every backend, by backend name so that waiting requests survive configuration reloads
+const requestQueues = new Map();
+
+// Helper function to get the request queue of a backend with the backend's current limits
+const getRequestQueue = (backend) => {
+  if (!requestQueues.has(backend.name)) {
+    requestQueues.set(backend.name, createRequestQueue(backend.limits, (stats) => {
+      metrics.setGauge('ollama_proxy_queue_depth', { backend: backend.name }, stats.queued);
+      metrics.setGauge('ollama_proxy_active_requests', { backend: backend.name }, stats.active);
+    }));
+  }
+  const queue = requestQueues.get(backend.name);
+  queue.configure(backend.limits);
+  return queue;
+}
+
+// Helper function to make one upstream call within the backend's concurrency limit. The slot is held
+// until the response is complete, which for streaming responses is when the stream closes.
+const sendQueued = async (backend, send, options) => {
+  let slot;
+  try {
+    slot = await getRequestQueue(backend).acquire(options.priority, options.signal);
+  } catch (error) {
+    if (error.status) {
+      metrics.increment('ollama_proxy_queue_rejected_total', { backend: backend.name });
+    }
+    throw error;
+  }
+  metrics.observe('ollama_proxy_queue_wait_seconds', { backend: backend.name }, slot.waited / 1000);
+  if (options.locals) {
+    options.locals.backend = backend.name;
+  }
+
+  let response;
+  try {
+    response = await send();
+  } catch (error) {
+    slot.release();
+    throw error;
+  }
+
+  if (typeof response.data?.on === 'function') {
+    response.data.once('close', slot.release);
+  } else {
+    slot.release();
+  }
+  return response;
+}
+
+// Helper function to send a translated request to the backend of its model, with retries and failover to the
+// model's fallbacks. `send` makes one attempt with a backend, the request renamed to that backend's model and
+// the headers to add, which carry the request ID. Options are the abort signal of the request, its queue
+// priority and the response locals with the request's ID, logger and capture record.
+const sendToUpstream = async (openaiRequest, send, options = {}) => {
+  const locals = options.locals || {};
+  const log = locals.log || logger;
+  const headers = locals.requestId ? { 'X-Request-Id': locals.requestId } : {};
+  const candidates = [openaiRequest.model, ...(config.fallbacks[openaiRequest.model] || [])]
+    .map(model => backendRouter.resolve(model));
+
+  const attempt = (candidate) => {
+    const request = { ...openaiRequest, model: candidate.model };
+    log.debug('upstream request', { backend: candidate.backend.name, request: request });
+    if (locals.capture) {
+      locals.capture.openaiRequest = request;
+    }
+    return sendQueued(candidate.backend, () => send(candidate.backend, request, headers), options);
+  }
+
+  const response = await sendWithFailover(candidates, attempt, {
+    retry: config.retry,
+    circuitBreaker: config.circuitBreaker,
+    breaker: circuitBreaker,
+    signal: options.signal,
+    onEvent: (event, details) => {
+      metrics.increment(upstreamEvents[event].metric, { backend: details.backend });
+      log.warn(upstreamEvents[event].message(details), { event: event, ...details });
+    }
+  });
+
+  // Streamed responses are captured chunk by chunk while they are translated
+  if (locals.capture && typeof response.data?.on !== 'function') {
+    locals.capture.upstreamStatus = response.status;
+    locals.capture.upstreamResponse = response.data;
+  }
+  return response;
+}
+
+// Magic byte prefixes of the image formats accepted by OpenAI-compatible vision models
+const imageSignatures = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47] },
+  { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/bmp', bytes: [0x42, 0x4D] }
+];
+
+// Helper function to detect the MIME type of a base64 encoded image from its magic bytes
+const detectImageMimeType = (base64) => {
+  const header = Buffer.from(base64.substring(0, 24), 'base64');
+
+  // WEBP is a RIFF container with the format name at offset 8
+  if (header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+
+  const signature = imageSignatures.find(({ bytes }) => bytes.every((byte, index) => header[index] === byte));
+  return signature ? signature.mimeType : null;
+}
+
+// Helper function to convert an Ollama base64 image to an OpenAI image_url content part
+const translateOllamaImageToOpenAI = (image) => {
+  if (image.startsWith('data:')) {
+    return { type: 'image_url', image_url: { url: image } };
+  }
+
+  const base64 = image.replace(/\s/g, '');
+  const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
+  const size = Math.floor(base64.length * 3 / 4) - padding;
+  const maxSize = config.limits.maxImageSize * 1024 * 1024;
+  if (size > maxSize) {
+    const error = new Error(`image size ${size} bytes exceeds the maximum of ${maxSize} bytes`);
+    error.status = 400;
+    throw error;
+  }
+
+  const mimeType = detectImageMimeType(base64);
+  if (!mimeType) {
+    const error = new Error('unsupported image format, expected PNG, JPEG, GIF, WEBP or BMP');
+    error.status = 400;
+    throw error;
+  }
+
+  return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64}` } };
+}
+
+// Helper function to build OpenAI message content, using content parts when images are attached
+const buildOpenAIContent = (content, images) => {
+  if (!images || images.length === 0) {
+    return content;
+  }
+
+  const parts = [];
+  if (content) {
+    parts.push({ type: 'text', text: content });
+  }
+  for (const image of images) {
+    parts.push(translateOllamaImageToOpenAI(image));
+  }
+  return parts;
+}
+
+// Helper function to convert an Ollama tool call to the OpenAI format (arguments as JSON string)
+const translateOllamaToolCallToOpenAI = (toolCall, id) => {
+  const args = toolCall.function?.arguments;
+  return {
+    id: id,
+    type: 'function',
+    function: {
+      name: toolCall.function?.name || '',
+      arguments: typeof args === 'string' ? args : JSON.stringify(args || {})
+    }
+  }
+}
+
+// Helper function to convert an OpenAI tool call to the Ollama format (arguments as object)
+const translateOpenAIToolCallToOllama = (toolCall) => {
+  let args = toolCall.function?.arguments || {};
+  if (typeof args === 'string') {
+    try {
+      args = args.trim() ? JSON.parse(args) : {};
+    } catch (parseError) {
+      args = {};
+    }
+  }
+
+  const ollamaToolCall = {
+    function: {
+      name: toolCall.function?.name || '',
+      arguments: args
+    }
+  }
+  if (toolCall.id) {
+    ollamaToolCall.id = toolCall.id;
+  }
+  return ollamaToolCall;
+}
+
+// Helper function to find the tool call a tool result answers (by id, then by tool name, then in order)
+const resolveToolCallId = (item, pendingToolCalls, fallbackId) => {
+  let index = -1;
+  if (item.tool_call_id) {
+    index = pendingToolCalls.findIndex(call => call.id === item.tool_call_id);
+    if (index === -1) {
+      return item.tool_call_id;
+    }
+  }
+
+  const toolName = item.tool_name || item.name;
+  if (index === -1 && toolName) {
+    index = pendingToolCalls.findIndex(call => call.name === toolName);
+  }
+  if (index === -1 && pendingToolCalls.length > 0) {
+    index = 0;
+  }
+  if (index === -1) {
+    return fallbackId;
+  }
+
+  return pendingToolCalls.splice(index, 1)[0].id;
+}
+
+// Helper function to accumulate streamed OpenAI tool call fragments by index until they are complete
+const createToolCallAccumulator = () => {
+  const calls = [];
+
+  return {
+    add: (fragments) => {
+      for (const fragment of fragments) {
+        const index = fragment.index !== undefined ? fragment.index : calls.length;
+        if (!calls[index]) {
+          calls[index] = { id: undefined, name: '', arguments: '' };
+        }
+        const call = calls[index];
+        if (fragment.id) {
+          call.id = fragment.id;
+        }
+        if (fragment.function?.name) {
+          call.name += fragment.function.name;
+        }
+        const args = fragment.function?.arguments;
+        if (typeof args === 'string') {
+          call.arguments += args;
+        } else if (args) {
+          call.arguments = args;
+        }
+      }
+    },
+    flush: () => {
+      const completed = calls.filter(Boolean).map(call => translateOpenAIToolCallToOllama({
+        id: call.id,
+        function: { name: call.name, arguments: call.arguments }
+      }));
+      calls.length = 0;
+      return completed;
+    }
+  }
+}
+
+// Helper function to split inline <think>...</think> blocks out of streamed text. Tags may be cut
+// across chunks, so a possible partial tag at the end of a chunk is held back until the next one.
+const createThinkTagSplitter = () => {
+  const openTag = '<think>';
+  const closeTag = '</think>';
+  let buffer = '';
+  let inThinking = false;
+  let trimContent = false;
+
+  // Helper function to find how many trailing characters of text could start the tag
+  const partialTagLength = (text, tag) => {
+    for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+      if (tag.startsWith(text.substring(text.length - length))) {
+        return length;
+      }
+    }
+    return 0;
+  }
+
+  const push = (text) => {
+    const result = { content: '', thinking: '' };
+    buffer += text;
+
+    while (buffer) {
+      const tag = inThinking ? closeTag : openTag;
+      const index = buffer.indexOf(tag);
+      const available = index !== -1 ? index : buffer.length - partialTagLength(buffer, tag);
+      let piece = buffer.substring(0, available);
+
+      if (inThinking) {
+        result.thinking += piece;
+      } else {
+        // Drop the whitespace models put between the closing tag and the answer
+        if (trimContent) {
+          piece = piece.replace(/^\s+/, '');
+          trimContent = piece === '';
+        }
+        result.content += piece;
+      }
+
+      if (index === -1) {
+        buffer = buffer.substring(available);
+        break;
+      }
+
+      buffer = buffer.substring(index + tag.length);
+      trimContent = inThinking;
+      inThinking = !inThinking;
+    }
+
+    return result;
+  }
+
+  const flush = () => {
+    const rest = buffer;
+    buffer = '';
+    return inThinking ? { content: '', thinking: rest } : { content: rest, thinking: '' };
+  }
+
+  return {
+    push: push,
+    flush: flush
+  }
+}
+
+// Helper function to create the thinking extractor of one response. Reasoning comes from the separate
+// reasoning_content (llama.cpp, DeepSeek) or reasoning fields, or optionally from inline <think> tags,
+// and is dropped when the request disabled thinking.
+const createThinkingExtractor = (request = {}) => {
+  const splitter = config.translation.splitThinkTags ? createThinkTagSplitter() : null;
+  const keepThinking = request.think !== false;
+
+  const finish = (text) => (keepThinking ? text : { content: text.content, thinking: '' });
+
+  return {
+    extract: (content, reasoning) => {
+      const text = splitter ? splitter.push(content || '') : { content: content || '', thinking: '' };
+      return finish({ content: text.content, thinking: (reasoning || '') + text.thinking });
+    },
+    flush: () => finish(splitter ? splitter.flush() : { content: '', thinking: '' })
+  }
+}
+
+// Helper function to separate the reasoning from the content of a complete OpenAI message
+const extractThinking = (message, request) => {
+  const extractor = createThinkingExtractor(request);
+  const text = extractor.extract(message.content, message.reasoning_content || message.reasoning);
+  const rest = extractor.flush();
+  return { content: text.content + rest.content, thinking: text.thinking + rest.thinking };
+}
+
+// Helper function to start measuring a request, so durations can fall back to the proxy's wall-clock time
+const createRequestTiming = () => ({
+  startedAt: process.hrtime.bigint(),
+  firstTokenAt: null
+});
+
+// Helper function to create the state kept while translating one streamed response
+const createStreamState = (request, timing = createRequestTiming()) => ({
+  toolCalls: createToolCallAccumulator(),
+  thinking: createThinkingExtractor(request),
+  timing: timing,
+  model: undefined,
+  usage: null,
+  timings: null,
+  finishReason: null,
+  // Chunks that carried generated text, counting the tokens of a stream cut short before its usage
+  chunks: 0
+});
+
+// Helper function to translate the Ollama format field ("json" or a JSON Schema) to an OpenAI response_format
+const translateOllamaFormatToOpenAI = (format) => {
+  if (format === 'json') {
+    return { type: 'json_object' };
+  }
+
+  if (format && typeof format === 'object') {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: 'response',
+        schema: format,
+        strict: true
+      }
+    }
+  }
+
+  return undefined;
+}
+
+// Helper function to validate a value against the subset of JSON Schema used for structured output
+const validateJsonSchema = (value, schema, path = '$') => {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  const typeOf = (item) => {
+    if (item === null) return 'null';
+    if (Array.isArray(item)) return 'array';
+    if (Number.isInteger(item)) return 'integer';
+    return typeof item;
+  }
+
+  if (schema.type) {
+    const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actualType = typeOf(value);
+    const matches = allowedTypes.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+    if (!matches) {
+      errors.push(`${path}: expected ${allowedTypes.join(' or ')}, got ${actualType}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: value is not one of the allowed values`);
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: value does not match the constant`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        errors.push(`${path}: missing required property "${name}"`);
+      }
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateJsonSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${name}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+// Helper function to check generated content against the requested Ollama format
+const validateFormatOutput = (content, format) => {
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (parseError) {
+    return { valid: false, errors: ['content is not valid JSON'] };
+  }
+
+  const errors = typeof format === 'object' ? validateJsonSchema(value, format) : [];
+  return { valid: errors.length === 0, errors: errors };
+}
+
+// Helper function to report structured output validation in a response header when enabled
+const setFormatValidationHeader = (res, content, format) => {
+  if (!config.translation.validateFormat || !format) {
+    return;
+  }
+
+  const result = validateFormatOutput(content || '', format);
+  const value = result.valid ? 'valid' : `invalid; ${result.errors.join('; ')}`;
+  // Header values must be printable ASCII
+  res.set('X-Format-Validation', value.replace(/[^\x20-\x7E]/g, '?'));
+}
+
+// Helper function to call the upstream chat completions endpoint. llama.cpp builds that do not
+// understand the OpenAI response_format reject it with a 400 naming the field, so retry those with their
+// native json_schema field.
+const postOpenAIChatCompletion = async (backend, openaiRequest, requestConfig) => {
+  try {
+    return await backend.client.post('/v1/chat/completions', openaiRequest, requestConfig);
+  } catch (error) {
+    const responseFormat = openaiRequest.response_format;
+    const isStructured = responseFormat && (responseFormat.type === 'json_object' || responseFormat.type === 'json_schema');
+    if (!error.response || error.response.status !== 400 || !isStructured) {
+      throw error;
+    }
+
+    // Streaming requests receive the error body as a stream
+    if (typeof error.response.data?.on === 'function') {
+      error.response.data = await readStreamBody(error.response.data);
+    }
+    const body = typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data);
+    if (!/response_format/.test(body || '')) {
+      throw error;
+    }
+
+    const { response_format, ...fallbackRequest } = openaiRequest;
+    fallbackRequest.json_schema = responseFormat.json_schema?.schema || {};
+    return backend.client.post('/v1/chat/completions', fallbackRequest, requestConfig);
+  }
+}
+
+// Upstream protocols by name (a backend's `protocol`). Requests are translated to the OpenAI format first;
+// a protocol sends a chat request to its backend and answers in the OpenAI format, a chat completion or
+// a stream of chat completion chunks; `getModel` fetches a model as an OpenAI model object. Only OpenAI
+// backends serve completions and embeddings, and may have llama.cpp's tokenizer.
+const upstreamProtocolHandlers = {
+  openai: {
+    postChat: postOpenAIChatCompletion,
+    getModel: (backend, model) => backend.client.get(`/v1/models/${model}`),
+    completions: true,
+    embeddings: true,
+    tokenizer: true
+  },
+  anthropic: {
+    postChat: (backend, openaiRequest, requestConfig) => postAnthropicMessages(backend.client, openaiRequest, requestConfig),
+    getModel: (backend, model) => getAnthropicModel(backend.client, model),
+    completions: false,
+    embeddings: false,
+    tokenizer: false
+  }
+};
+
+// Helper function to send a chat request to a backend in the backend's protocol
+const postChatCompletion = (backend, openaiRequest, requestConfig) => upstreamProtocolHandlers[backend.protocol].postChat(backend, openaiRequest, requestConfig);
+
+// Helper function to reject a request for an endpoint the backend's protocol doesn't have, with a 400 error
+const requireProtocolSupport = (backend, feature) => {
+  if (!upstreamProtocolHandlers[backend.protocol][feature]) {
+    const error = new Error(`backend "${backend.name}" speaks the ${backend.protocol} protocol, which has no ${feature}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+// Helper function to send an embeddings request to a backend
+const postEmbeddings = (backend, openaiRequest, requestConfig) => {
+  requireProtocolSupport(backend, 'embeddings');
+  return backend.client.post('/v1/embeddings', openaiRequest, requestConfig);
+}
+
+// Helper function to send a completion request (see translateOllamaToCompletion) to a backend. Fill-in-the-middle
+// requests go to llama.cpp's /infill when the backend is set up for it, everything else to /v1/completions.
+const postCompletion = (backend, completionRequest, requestConfig) => {
+  requireProtocolSupport(backend, 'completions');
+  const fimEndpoint = backend.fimEndpoint || config.translation.fimEndpoint;
+  if (completionRequest.suffix === undefined || fimEndpoint !== 'infill') {
+    return backend.client.post('/v1/completions', completionRequest, requestConfig);
+  }
+
+  const { prompt, suffix, stream_options, ...infillRequest } = completionRequest;
+  return backend.client.post('/infill', {
+    ...infillRequest,
+    input_prefix: prompt,
+    input_suffix: suffix
+  }, requestConfig);
+}
+
+// Backends without llama.cpp's /tokenize endpoint, whose tokens are estimated instead
+const backendsWithoutTokenizer = new WeakSet();
+
+// Helper function to count the tokens of a text with a backend's tokenizer (llama.cpp's /tokenize), or
+// null when the backend has none or the request failed. Like the summary, the call waits for a slot in
+// the backend's queue.
+const countBackendTokens = async (backend, text, requestConfig, queueOptions) => {
+  if (!upstreamProtocolHandlers[backend.protocol].tokenizer || backendsWithoutTokenizer.has(backend)) {
+    return null;
+  }
+  try {
+    const response = await sendQueued(backend, () => backend.client.post('/tokenize', { content: text }, requestConfig), queueOptions);
+    return Array.isArray(response.data?.tokens) ? response.data.tokens.length : null;
+  } catch (error) {
+    if (error.code === 'ERR_CANCELED') {
+      throw error;
+    }
+    if (error.response && error.response.status < 500) {
+      backendsWithoutTokenizer.add(backend);
+    }
+    return null;
+  }
+}
+
+// Helper function to summarize the transcript of the turns dropped from a conversation with its own model
+const summarizeTranscript = async (backend, model, transcript, requestConfig, queueOptions) => {
+  const response = await sendQueued(backend, () => postChatCompletion(backend, {
+    model: model,
+    messages: [
+      { role: 'system', content: 'Summarize the following conversation in a few sentences. Keep facts, decisions, names and open questions that later turns may refer to.' },
+      { role: 'user', content: transcript }
+    ],
+    max_tokens: config.contextWindow.summaryTokens,
+    stream: false
+  }, requestConfig), queueOptions);
+  return response.data.choices?.[0]?.message?.content || '';
+}
+
+// Helper function to fit a chat request into the context window of its model, the request's num_ctx option
+// (which includes a virtual model's contextSize) or the configured size, when context fitting is on. Turns
+// that don't fit are dropped or summarized (see src/context-window.js), reported in the X-Context-Window
+// header and logged.
+const fitContextWindow = async (openaiRequest, options, res, signal, priority) => {
+  const settings = config.contextWindow;
+  const contextSize = (options && options.num_ctx) || settings.size;
+  if (settings.mode === 'off' || !contextSize) {
+    return openaiRequest;
+  }
+
+  const { backend, model } = backendRouter.resolve(openaiRequest.model);
+  const requestConfig = { signal: signal, headers: { 'X-Request-Id': res.locals.requestId } };
+  const queueOptions = { signal: signal, priority: priority };
+  // Room for the answer, at most half of the context so that small contexts still hold a conversation
+  const reserve = Math.min(openaiRequest.max_tokens || settings.reserve, Math.floor(contextSize / 2));
+  const result = await fitMessages(openaiRequest.messages, {
+    budget: contextSize - reserve,
+    tools: openaiRequest.tools,
+    countTokens: (text) => countBackendTokens(backend, text, requestConfig, queueOptions),
+    summarize: settings.mode === 'summarize' ? (transcript) => summarizeTranscript(backend, model, transcript, requestConfig, queueOptions) : null,
+    summaryTokens: settings.summaryTokens,
+    onSummaryError: (error) => {
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      res.locals.log.warn('context summary failed, dropping the turns instead', { error: error.message });
+    }
+  });
+
+  const details = {
+    droppedMessages: result.dropped.length,
+    tokens: result.tokens,
+    contextSize: contextSize,
+    reserve: reserve,
+    tokenizer: result.tokenizer,
+    summarized: result.summarized
+  }
+  if (result.tokens > contextSize - reserve) {
+    res.locals.log.warn('conversation does not fit the context window even with only the latest turn', details);
+  }
+  if (result.dropped.length === 0) {
+    return openaiRequest;
+  }
+
+  res.locals.log.info(result.summarized ? 'context summarized' : 'context trimmed', details);
+  res.set('X-Context-Window', `${result.summarized ? 'summarized' : 'trimmed'}; dropped=${result.dropped.length}; tokens=${result.tokens}; limit=${contextSize}`);
+  return { ...openaiRequest, messages: result.messages };
+}
+
+// Mapping of Ollama options to request fields. `field` is the standard OpenAI field where one
+// exists, extension fields are only understood by llama.cpp, and options without a `field` have
+// no per-request equivalent (load-time settings) and are accepted but not forwarded.
+const ollamaOptionMappings = {
+  temperature: { field: 'temperature' },
+  top_p: { field: 'top_p' },
+  stop: { field: 'stop' },
+  seed: { field: 'seed' },
+  presence_penalty: { field: 'presence_penalty' },
+  frequency_penalty: { field: 'frequency_penalty' },
+  // -1 (infinite) and -2 (fill context) have no OpenAI equivalent, leave the limit to the upstream
+  num_predict: { field: 'max_tokens', transform: value => (value > 0 ? value : undefined) },
+  tool_choice: { field: 'tool_choice' },
+  response_format: { field: 'response_format' },
+  top_k: { field: 'top_k', extension: true },
+  min_p: { field: 'min_p', extension: true },
+  typical_p: { field: 'typical_p', extension: true },
+  tfs_z: { field: 'tfs_z', extension: true },
+  repeat_penalty: { field: 'repeat_penalty', extension: true },
+  repeat_last_n: { field: 'repeat_last_n', extension: true },
+  penalize_newline: { field: 'penalize_nl', extension: true },
+  mirostat: { field: 'mirostat', extension: true },
+  mirostat_tau: { field: 'mirostat_tau', extension: true },
+  mirostat_eta: { field: 'mirostat_eta', extension: true },
+  num_keep: { field: 'n_keep', extension: true },
+  num_ctx: {},
+  num_batch: {},
+  num_gpu: {},
+  main_gpu: {},
+  num_thread: {},
+  numa: {},
+  low_vram: {},
+  vocab_only: {},
+  use_mmap: {},
+  use_mlock: {}
+};
+
+// Helper function to translate Ollama options to OpenAI and llama.cpp request fields
+const translateOllamaOptionsToOpenAI = (options) => {
+  const params = {};
+
+  for (const [name, value] of Object.entries(options || {})) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    const mapping = ollamaOptionMappings[name];
+    if (!mapping) {
+      if (config.translation.optionsMode === 'strict') {
+        const error = new Error(`invalid option provided: ${name}`);
+        error.status = 400;
+        throw error;
+      }
+      if (config.translation.optionsMode === 'passthrough') {
+        params[name] = value;
+      }
+      continue;
+    }
+
+    if (!mapping.field || (mapping.extension && !config.translation.llamaExtensions)) {
+      continue;
+    }
+
+    const translated = mapping.transform ? mapping.transform(value) : value;
+    if (translated !== undefined) {
+      params[mapping.field] = translated;
+    }
+  }
+
+  return params;
+}
+
+// Helper function to translate Ollama to OpenAI format, reading generate prompts in the given prompt format
+const translateOllamaToOpenAI = (request, promptFormat = config.translation.promptFormat) => {
+  const messages = [];
+
+  // Handle messages array first (highest priority)
+  if (request.messages && Array.isArray(request.messages)) {
+    // Tool calls made by the assistant that have not been answered by a tool message yet
+    const pendingToolCalls = [];
+
+    for (const [messageIndex, item] of request.messages.entries()) {
+      if (item.role === 'assistant' && item.tool_calls && item.tool_calls.length > 0) {
+        const toolCalls = item.tool_calls.map((toolCall, callIndex) => {
+          const id = toolCall.id || `call_${messageIndex}_${callIndex}`;
+          pendingToolCalls.push({ id: id, name: toolCall.function?.name });
+          return translateOllamaToolCallToOpenAI(toolCall, id);
+        });
+        messages.push({
+          role: 'assistant',
+          content: item.content || null,
+          tool_calls: toolCalls
+        });
+      } else if (item.role === 'tool') {
+        messages.push({
+          role: 'tool',
+          tool_call_id: resolveToolCallId(item, pendingToolCalls, `call_${messageIndex}`),
+          content: item.content || ''
+        });
+      } else if (item.role && (item.content || (item.images && item.images.length > 0))) {
+        messages.push({
+          role: item.role,
+          content: buildOpenAIContent(item.content, item.images)
+        });
+      }
+    }
+  }
+
+  // Handle prompt if provided (fallback): a prompt pre-rendered in a known format becomes its messages,
+  // anything else a user message following the system message
+  const promptMessages = messages.every(message => message.role === 'system') ? parsePrompt(request.prompt, promptFormat) : null;
+  if (messages.length === 0 && request.system && !(promptMessages && promptMessages.some(message => message.role === 'system'))) {
+    messages.push({ role: 'system', content: request.system });
+  }
+  if (promptMessages) {
+    // A rendered prompt has no tool calls for tool results to answer, which upstreams reject, so tool
+    // results are passed on as user messages with their text
+    promptMessages.forEach(message => messages.push(message.role === 'tool' ? { role: 'user', content: message.content } : message));
+  } else if (messages.every(message => message.role === 'system') && request.prompt) {
+    messages.push({ role: 'user', content: request.prompt });
+  }
+
+  // Handle history if provided (fallback)
+  if (messages.every(message => message.role === 'system') && request.history && Array.isArray(request.history)) {
+    for (const item of request.history) {
+      if (item.role === 'user' || item.role === 'assistant') {
+        messages.push({
+          role: item.role,
+          content: item.content || ''
+        });
+      }
+    }
+  }
+
+  if (messages.length === 0) {
+    messages.push({ role: 'user', content: '' });
+  }
+
+  // Attach top-level images (generate endpoint) to the last user message
+  if (request.images && request.images.length > 0 && !request.messages) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    if (lastUserMessage) {
+      lastUserMessage.content = buildOpenAIContent(lastUserMessage.content, request.images);
+    } else {
+      messages.push({ role: 'user', content: buildOpenAIContent('', request.images) });
+    }
+  }
+
+  const openaiRequest = {
+    model: request.model || config.defaultModel,
+    messages: messages,
+    stream: request.stream || false,
+    tools: request.tools || undefined,
+    ...translateOllamaOptionsToOpenAI(request.options)
+  }
+
+  // The top-level format field takes precedence over a response_format given in options
+  const responseFormat = translateOllamaFormatToOpenAI(request.format);
+  if (responseFormat) {
+    openaiRequest.response_format = responseFormat;
+  }
+
+  // Thinking levels map to OpenAI's reasoning effort, true/false to the chat template switch of llama.cpp
+  if (typeof request.think === 'string') {
+    openaiRequest.reasoning_effort = request.think;
+  } else if (typeof request.think === 'boolean' && config.translation.llamaExtensions) {
+    openaiRequest.chat_template_kwargs = { enable_thinking: request.think };
+  }
+
+  return openaiRequest;
+}
+
+// Helper function to translate a generate request that needs a plain completion instead of a chat: raw
+// prompts, fill-in-the-middle requests with a suffix and requests with a prompt template. A template is
+// rendered by the proxy and sent as a raw prompt; a suffix without a template is left to the upstream's
+// fill-in-the-middle support. Returns null for every other request, which goes through chat.
+const translateOllamaToCompletion = (request) => {
+  const hasTemplate = typeof request.template === 'string' && request.template !== '';
+  const hasSuffix = typeof request.suffix === 'string' && request.suffix !== '';
+  if (!request.raw && !hasSuffix && !hasTemplate) {
+    return null;
+  }
+
+  if (request.raw && (hasTemplate || request.system || (Array.isArray(request.context) && request.context.length > 0))) {
+    const error = new Error('raw mode does not support template, system, or context');
+    error.status = 400;
+    throw error;
+  }
+  if (request.images && request.images.length > 0) {
+    const error = new Error('images are not supported with raw prompts, suffixes or templates');
+    error.status = 400;
+    throw error;
+  }
+
+  const completionRequest = {
+    model: request.model || config.defaultModel,
+    prompt: request.prompt || '',
+    stream: request.stream || false,
+    ...translateOllamaOptionsToOpenAI(request.options)
+  }
+
+  if (hasTemplate) {
+    completionRequest.prompt = renderTemplate(request.template, {
+      System: request.system || '',
+      Prompt: request.prompt || '',
+      Suffix: request.suffix || '',
+      Response: ''
+    });
+  } else if (hasSuffix) {
+    completionRequest.suffix = request.suffix;
+  }
+
+  return completionRequest;
+}
+
+// Helper function to translate an OpenAI response message to an Ollama chat message
+const translateOpenAIMessageToOllama = (message, request) => {
+  const text = extractThinking(message, request);
+  const ollamaMessage = {
+    role: message.role || 'assistant',
+    content: text.content
+  }
+
+  if (text.thinking) {
+    ollamaMessage.thinking = text.thinking;
+  }
+
+  if (message.tool_calls && message.tool_calls.length > 0) {
+    ollamaMessage.tool_calls = message.tool_calls.map(translateOpenAIToolCallToOllama);
+  }
+
+  return ollamaMessage;
+}
+
+// Helper function to map an OpenAI finish_reason to Ollama's done_reason. Ollama reports "length" when
+// the token limit was reached and "stop" otherwise, including when the model finished with tool calls.
+const translateFinishReason = (finishReason) => (finishReason === 'length' ? 'length' : 'stop');
+
+// Helper function to convert milliseconds to the nanoseconds Ollama uses for durations
+const millisecondsToNanoseconds = (milliseconds) => Math.round(milliseconds * 1e6);
+
+// Helper function to compute Ollama's token counts and durations for a finished response. Counts come from
+// the OpenAI usage field, then llama.cpp's timings. Durations come from llama.cpp's prompt_ms and
+// predicted_ms, falling back to the wall-clock time measured by the proxy when the upstream has no timings.
+const buildOllamaMetrics = (usage, timings, timing) => {
+  const finishedAt = process.hrtime.bigint();
+  const totalDuration = Number(finishedAt - timing.startedAt);
+  const firstTokenDuration = timing.firstTokenAt ? Number(timing.firstTokenAt - timing.startedAt) : 0;
+
+  const promptEvalCount = usage?.prompt_tokens ?? timings?.prompt_n ?? 0;
+  const evalCount = usage?.completion_tokens ?? timings?.predicted_n ?? 0;
+  const promptEvalDuration = typeof timings?.prompt_ms === 'number'
+    ? millisecondsToNanoseconds(timings.prompt_ms)
+    : firstTokenDuration;
+  const evalDuration = typeof timings?.predicted_ms === 'number'
+    ? millisecondsToNanoseconds(timings.predicted_ms)
+    : totalDuration - firstTokenDuration;
+
+  return {
+    total_duration: Math.max(totalDuration, promptEvalDuration + evalDuration),
+    load_duration: 0,
+    prompt_eval_count: promptEvalCount,
+    prompt_eval_duration: promptEvalDuration,
+    eval_count: evalCount,
+    eval_duration: evalDuration,
+    total_tokens: usage?.total_tokens ?? promptEvalCount + evalCount
+  }
+}
+
+// Helper function to translate OpenAI to Ollama format for chat endpoint
+const translateOpenAIToOllamaChat = (response, request, timing = createRequestTiming()) => {
+  const choice = response.choices[0];
+  return {
+    model: response.model,
+    created_at: new Date(response.created * 1000).toISOString(),
+    message: translateOpenAIMessageToOllama(choice.message, request),
+    done: true,
+    done_reason: translateFinishReason(choice.finish_reason),
+    ...buildOllamaMetrics(response.usage, response.timings, timing)
+  }
+}
+
+// Helper function to translate OpenAI to Ollama format for generate endpoint
+const translateOpenAIToOllamaGenerate = (response, request, timing = createRequestTiming()) => {
+  const choice = response.choices[0];
+  const text = extractThinking(choice.message, request);
+  const ollamaResponse = {
+    model: response.model,
+    created_at: new Date(response.created * 1000).toISOString(),
+    response: text.content,
+    done: true,
+    done_reason: translateFinishReason(choice.finish_reason),
+    context: [], // Replaced by the context of the conversation's session
+    ...buildOllamaMetrics(response.usage, response.timings, timing)
+  }
+
+  if (text.thinking) {
+    ollamaResponse.thinking = text.thinking;
+  }
+
+  return ollamaResponse;
+}
+
+// Helper function to collect what a streamed chunk tells about the whole response. With
+// stream_options.include_usage the usage arrives in a last chunk after finish_reason, with no choices.
+const recordStreamChunk = (response, state) => {
+  const choice = (response.choices && response.choices[0]) || {};
+  const delta = choice.delta || {};
+
+  state.model = response.model || state.model;
+  state.usage = response.usage || state.usage;
+  state.timings = response.timings || state.timings;
+  state.finishReason = choice.finish_reason || state.finishReason;
+
+  if (delta.content || delta.reasoning_content || delta.reasoning || delta.tool_calls) {
+    state.chunks++;
+    state.timing.firstTokenAt = state.timing.firstTokenAt || process.hrtime.bigint();
+  }
+
+  return { delta: delta, isDone: !!choice.finish_reason };
+}
+
+// Helper function to translate OpenAI streaming response to Ollama format for chat endpoint
+const translateOpenAIStreamToOllamaChat = (response, state = createStreamState()) => {
+  const { delta, isDone } = recordStreamChunk(response, state);
+
+  const text = state.thinking.extract(delta.content, delta.reasoning_content || delta.reasoning);
+  if (isDone) {
+    const rest = state.thinking.flush();
+    text.content += rest.content;
+    text.thinking += rest.thinking;
+  }
+
+  const message = {
+    role: delta.role || 'assistant',
+    content: text.content
+  }
+
+  if (text.thinking) {
+    message.thinking = text.thinking;
+  }
+
+  // Tool call arguments arrive as partial JSON strings, so collect them until the choice finishes
+  if (delta.tool_calls && delta.tool_calls.length > 0) {
+    state.toolCalls.add(delta.tool_calls);
+  }
+
+  if (isDone) {
+    const completedToolCalls = state.toolCalls.flush();
+    if (completedToolCalls.length > 0) {
+      message.tool_calls = completedToolCalls;
+    }
+  }
+
+  // The final chunk is sent once the upstream stream ends, see finishOllamaChatStream
+  return {
+    model: state.model,
+    created_at: new Date().toISOString(),
+    message: message, // Keep message field for streaming compatibility
+    done: false
+  }
+}
+
+// Helper function to build the final chunk of a chat stream, carrying the done reason and metrics
+const finishOllamaChatStream = (state) => ({
+  model: state.model,
+  created_at: new Date().toISOString(),
+  message: { role: 'assistant', content: '' }, // Content and tool calls were sent in earlier chunks
+  done: true,
+  done_reason: translateFinishReason(state.finishReason),
+  ...buildOllamaMetrics(state.usage, state.timings, state.timing)
+});
+
+// Helper function to translate OpenAI streaming response to Ollama format for generate endpoint
+const translateOpenAIStreamToOllamaGenerate = (response, state = createStreamState()) => {
+  const { delta, isDone } = recordStreamChunk(response, state);
+
+  const text = state.thinking.extract(delta.content, delta.reasoning_content || delta.reasoning);
+  if (isDone) {
+    const rest = state.thinking.flush();
+    text.content += rest.content;
+    text.thinking += rest.thinking;
+  }
+
+  const ollamaResponse = {
+    model: state.model,
+    created_at: new Date().toISOString(),
+    response: text.content,
+    done: false
+  }
+
+  if (text.thinking) {
+    ollamaResponse.thinking = text.thinking;
+  }
+
+  return ollamaResponse;
+}
+
+// Helper function to build the final chunk of a generate stream, carrying the done reason and metrics
+const finishOllamaGenerateStream = (state) => ({
+  model: state.model,
+  created_at: new Date().toISOString(),
+  response: '',
+  done: true,
+  done_reason: translateFinishReason(state.finishReason),
+  context: [], // Empty context array as placeholder
+  ...buildOllamaMetrics(state.usage, state.timings, state.timing)
+});
+
+// Helper function to fill in the usage of a stream the client left before the upstream sent it, so that its
+// tokens still count: a completion token per streamed chunk and the prompt estimated at 4 characters a token
+const estimateStreamUsage = (state, openaiRequest) => {
+  if (!state.usage && !state.timings) {
+    const promptTokens = Math.ceil(JSON.stringify(openaiRequest.messages || openaiRequest.prompt || '').length / 4);
+    state.usage = { prompt_tokens: promptTokens, completion_tokens: state.chunks, total_tokens: promptTokens + state.chunks };
+  }
+  return state;
+}
+
+// Helper function to read the text and finish reason of a completion response or stream chunk, either from
+// /v1/completions ({ choices: [{ text, finish_reason }] }) or from llama.cpp's /infill ({ content, stop })
+const readCompletionChunk = (response) => {
+  if (response.choices) {
+    const choice = response.choices[0] || {};
+    return { text: choice.text || '', finishReason: choice.finish_reason || null };
+  }
+  const stoppedAtLimit = response.stopped_limit || response.stop_type === 'limit';
+  return { text: response.content || '', finishReason: response.stop ? (stoppedAtLimit ? 'length' : 'stop') : null };
+}
+
+// Helper function to translate a completion response to Ollama format for generate endpoint
+const translateCompletionToOllamaGenerate = (response, request, timing = createRequestTiming()) => {
+  const { text, finishReason } = readCompletionChunk(response);
+  return {
+    model: response.model || request.model,
+    created_at: new Date(response.created ? response.created * 1000 : Date.now()).toISOString(),
+    response: text,
+    done: true,
+    done_reason: translateFinishReason(finishReason),
+    context: [], // Empty context array as placeholder
+    ...buildOllamaMetrics(response.usage, response.timings, timing)
+  }
+}
+
+// Helper function to translate a completion stream chunk to Ollama format for generate endpoint. The final
+// chunk is built by finishOllamaGenerateStream, like for chat streams.
+const translateCompletionStreamToOllamaGenerate = (response, state) => {
+  const { text, finishReason } = readCompletionChunk(response);
+  state.model = response.model || state.model;
+  state.usage = response.usage || state.usage;
+  state.timings = response.timings || state.timings;
+  state.finishReason = finishReason || state.finishReason;
+  if (text) {
+    state.chunks++;
+    state.timing.firstTokenAt = state.timing.firstTokenAt || process.hrtime.bigint();
+  }
+
+  return {
+    model: state.model,
+    created_at: new Date().toISOString(),
+    response: text,
+    done: false
+  }
+}
+
+// Helper function to abort the upstream request when the client disconnects before the response is complete,
+// so the upstream stops generating tokens nobody will read
+const cancelOnClientDisconnect = (res, endpoint, model, isStreaming, timing) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (res.writableFinished) {
+      return;
+    }
+    controller.abort();
+    const elapsed = Number(process.hrtime.bigint() - timing.startedAt) / 1e6;
+    metrics.increment('ollama_proxy_cancelled_requests_total', { route: endpoint, stream: String(isStreaming) });
+    res.locals.log.info(`Client disconnected from ${endpoint} (${model}${isStreaming ? ', streaming' : ''}) after ${Math.round(elapsed)} ms, upstream request cancelled`);
+  });
+  return controller;
+}
+
+// Helper function to read an upstream body delivered as a stream (e.g. error responses to streaming requests)
+const readStreamBody = (stream) => new Promise((resolve) => {
+  let body = '';
+  // A body discarded before a failover can't be read anymore
+  if (stream.destroyed) {
+    resolve(body);
+    return;
+  }
+  stream.on('data', (chunk) => { body += chunk.toString(); });
+  stream.on('end', () => {
+    try {
+      resolve(JSON.parse(body));
+    } catch (parseError) {
+      resolve(body);
+    }
+  });
+  stream.on('error', () => resolve(body));
+});
+
+// Helper function to pipe an OpenAI SSE stream to the client as Ollama NDJSON chunks. The final chunk is
+// built by finishStream once the upstream is done, because the usage may follow the finish_reason chunk.
+// The legacy option keeps the old chat framing: text/event-stream, an empty first message and a [DONE] line.
+// The onCancel option is called when the client goes away before the stream is done.
+const streamOpenAIToOllama = (req, res, upstream, translateChunk, finishStream, options = {}) => new Promise((resolve) => {
+  let responseBuffer = '';
+  let streamEnded = false;
+  let firstChunk = true;
+
+  res.writeHead(200, {
+    'Content-Type': options.legacy ? 'text/event-stream' : 'application/x-ndjson',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const endStream = (finalChunk) => {
+    if (streamEnded) return;
+    streamEnded = true;
+    if (finalChunk) {
+      res.write(JSON.stringify(finalChunk) + '\n');
+    }
+    if (options.legacy) {
+      res.write('[DONE]\n');
+    }
+    res.end();
+    resolve();
+  };
+
+  // Errors after the headers were sent are reported as a last {"error": ...} line
+  const failStream = (type, error) => {
+    res.locals.errorType = type;
+    endStream({ error: error });
+  };
+
+  const handleLine = (line) => {
+    if (streamEnded || !line.startsWith('data: ')) return;
+    const data = line.substring(6).trim();
+    if (data === '[DONE]') {
+      endStream(finishStream());
+      return;
+    }
+
+    let jsonData;
+    try {
+      jsonData = JSON.parse(data);
+    } catch (parseError) {
+      res.locals.log.warn('cannot parse upstream stream chunk', { chunk: data });
+      failStream('parse_error', { message: 'Error parsing response', type: 'parse_error' });
+      return;
+    }
 
-// Middleware
-app.use(express.json({ limit: '100mb' }));
+    const capture = res.locals.capture;
+    if (capture) {
+      capture.upstreamChunks = capture.upstreamChunks || [];
+      capture.upstreamChunks.push(jsonData);
+    }
 
-// OpenAI API client
-const openaiClient = axios.create({
-  baseURL: `${argv.openaiHost.startsWith('http') ? argv.openaiHost : `http://${argv.openaiHost}`}:${argv.openaiPort}`,
-  timeout: 30000,
-  headers: {
-    'Content-Type': 'application/json',
-    'Authorization': `Bearer ${argv.openaiKey}`
-  }
-});
+    if (jsonData.error) {
+      res.locals.log.warn('upstream stream error', { error: jsonData.error });
+      failStream('upstream_error', jsonData.error);
+      return;
+    }
 
-// Helper function to translate Ollama to OpenAI format
-const translateOllamaToOpenAI = (request) => {
-  const messages = [];
+    const ollamaData = translateChunk(jsonData);
+    if (options.legacy && firstChunk && ollamaData.message) {
+      res.write(JSON.stringify({ model: ollamaData.model, created_at: ollamaData.created_at, message: { role: 'assistant', content: '' }, done: false }) + '\n');
+    }
+    firstChunk = false;
 
-  // Handle messages array first (highest priority)
-  if (request.messages && Array.isArray(request.messages)) {
-    for (const item of request.messages) {
-      if (item.role && item.content) {
-        messages.push({
-          role: item.role,
-          content: item.content
-        });
-      }
+    if (ollamaData.response || ollamaData.thinking || (ollamaData.message && (ollamaData.message.content || ollamaData.message.thinking || ollamaData.message.tool_calls))) {
+      res.write(JSON.stringify(ollamaData) + '\n');
     }
-  }
+  };
 
-  // Handle system message if provided (fallback)
-  if (messages.length === 0 && request.system) {
-    messages.push({ role: 'system', content: request.system });
-  }
+  upstream.on('data', (chunk) => {
+    if (streamEnded) return;
+    responseBuffer += chunk.toString();
+    const lines = responseBuffer.split('\n');
+    responseBuffer = lines.pop() || '';
+    lines.forEach(handleLine);
+  });
 
-  // Handle prompt if provided (fallback)
-  if (messages.length === 0 && request.prompt) {
-    // If prompt is plain text (not using custom tags), add as user message
-    if (!request.prompt.includes('<user>') && !request.prompt.includes('<assistant>')) {
-      messages.push({ role: 'user', content: request.prompt });
-    } else {
-      // Parse custom tag format
-      const promptLines = request.prompt.split('\n');
-      let currentRole = null;
-      let currentContent = '';
-
-      for (const line of promptLines) {
-        if (line.startsWith('<user>')) {
-          if (currentRole && currentContent) {
-            messages.push({ role: currentRole, content: currentContent.trim() });
-            currentContent = '';
-          }
-          currentRole = 'user';
-          currentContent = line.substring(6);
-        } else if (line.startsWith('<assistant>')) {
-          if (currentRole && currentContent) {
-            messages.push({ role: currentRole, content: currentContent.trim() });
-            currentContent = '';
-          }
-          currentRole = 'assistant';
-          currentContent = line.substring(11);
-        } else if (line === '</user>' || line === '</assistant>') {
-          if (currentContent) {
-            messages.push({ role: currentRole, content: currentContent.trim() });
-            currentContent = '';
-          }
-        } else if (currentContent !== '') {
-          currentContent += '\n' + line;
-        }
-      }
+  upstream.on('end', () => {
+    // Process any remaining data in the buffer
+    if (responseBuffer.trim()) {
+      responseBuffer.split('\n').forEach(handleLine);
+    }
+    // The upstream ended without a [DONE] line
+    if (!streamEnded) {
+      endStream(finishStream());
+    }
+  });
 
-      if (currentRole && currentContent) {
-        messages.push({ role: currentRole, content: currentContent.trim() });
-      }
+  upstream.on('error', (error) => {
+    res.locals.log.warn('upstream stream failed', { error: error.message, code: error.code });
+    if (error.code === 'ECONNABORTED') {
+      failStream('timeout', {
+        message: 'Request timeout - the OpenAI server took too long to respond',
+        type: 'timeout_error'
+      });
+    } else {
+      failStream('stream_error', { message: error.message || 'Stream error', type: 'stream_error' });
     }
-  }
+  });
 
-  // Handle history if provided (fallback)
-  if (messages.length === 0 && request.history && Array.isArray(request.history)) {
-    for (const item of request.history) {
-      if (item.role === 'user' || item.role === 'assistant') {
-        messages.push({
-          role: item.role,
-          content: item.content || ''
-        });
+  // Stop reading from upstream once the client has gone away
+  res.on('close', () => {
+    if (!streamEnded) {
+      streamEnded = true;
+      upstream.destroy();
+      if (options.onCancel) {
+        options.onCancel();
       }
+      resolve();
     }
+  });
+});
+
+// Helper function to translate Ollama embed request to OpenAI embeddings format
+const translateOllamaEmbedToOpenAI = (request) => {
+  const openaiRequest = {
+    model: request.model || defaultEmbeddingModel,
+    input: request.input !== undefined ? request.input : (request.prompt || ''),
+    encoding_format: 'float'
   }
 
-  if (messages.length === 0) {
-    messages.push({ role: 'user', content: '' });
+  if (request.dimensions) {
+    openaiRequest.dimensions = request.dimensions;
   }
 
-  const openaiRequest = {
-    model: request.model || 'gpt-3.5-turbo',
-    messages: messages,
-    stream: request.stream || false,
-    temperature: request.options?.temperature,
-    max_tokens: request.options?.num_predict,
-    top_p: request.options?.top_p,
-    frequency_penalty: request.options?.repeat_penalty ? (request.options.repeat_penalty - 1) : undefined,
-    presence_penalty: request.options?.presence_penalty || undefined,
-    tools: request.tools || undefined,
-    tool_choice: request.options?.tool_choice || undefined,
-    response_format: request.options?.response_format || undefined
+  // Not part of the OpenAI API, which rejects unknown fields, so only forwarded with llama.cpp extensions
+  if (request.truncate !== undefined && config.translation.llamaExtensions) {
+    openaiRequest.truncate = request.truncate;
   }
 
   return openaiRequest;
 }
 
-// Helper function to translate OpenAI to Ollama format for chat endpoint
-const translateOpenAIToOllamaChat = (response) => {
-  // If usage field is present, use it
-  if (response.usage) {
-    return {
-      model: response.model,
-      created_at: new Date(response.created * 1000).toISOString(),
-      message: {
-        role: response.choices[0].message.role,
-        content: response.choices[0].message.content || ''
-      }
-    }
-  }
-
-  // Otherwise, use timings data
-  if (response.timings && response.timings.cache_n !== undefined) {
-    return {
-      model: response.model,
-      created_at: new Date(response.created * 1000).toISOString(),
-      message: {
-        role: response.choices[0].message.role,
-        content: response.choices[0].message.content
-      },
-      done: response.choices[0].finish_reason === 'stop',
-      prompt_eval_count: response.timings.cache_n,
-      eval_count: response.timings.predicted_n || 0,
-      total_tokens: response.timings.cache_n + (response.timings.predicted_n || 0)
-    }
+// Helper function to shorten an embedding to the requested size and re-normalize it
+const truncateEmbedding = (embedding, dimensions) => {
+  if (!dimensions || embedding.length <= dimensions) {
+    return embedding;
   }
 
-  // Fallback to 0 if no data available
-  return {
-    model: response.model,
-    created_at: new Date(response.created * 1000).toISOString(),
-    message: {
-      role: response.choices[0].message.role,
-      content: response.choices[0].message.content
-    },
-    done: response.choices[0].finish_reason === 'stop',
-    prompt_eval_count: 0,
-    eval_count: 0,
-    total_tokens: 0
-  }
+  const truncated = embedding.slice(0, dimensions);
+  const norm = Math.sqrt(truncated.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? truncated.map(value => value / norm) : truncated;
 }
 
-// Helper function to translate OpenAI to Ollama format for generate endpoint
-const translateOpenAIToOllamaGenerate = (response) => {
-  // If usage field is present, use it
-  if (response.usage) {
-    return {
-      model: response.model,
-      created_at: new Date(response.created * 1000).toISOString(),
-      response: response.choices[0].message.content,
-      done: response.choices[0].finish_reason === 'stop',
-      prompt_eval_count: response.usage.prompt_tokens || 0,
-      eval_count: response.usage.completion_tokens || 0,
-      total_tokens: response.usage.total_tokens || 0
-    }
-  }
+// Helper function to translate OpenAI embeddings response to Ollama format for embed endpoint
+const translateOpenAIToOllamaEmbed = (response, request) => {
+  const data = [...(response.data || [])].sort((a, b) => a.index - b.index);
 
-  // Otherwise, use timings data
-  if (response.timings && response.timings.cache_n !== undefined) {
-    return {
-      model: response.model,
-      created_at: new Date(response.created * 1000).toISOString(),
-      response: response.choices[0].message.content,
-      done: response.choices[0].finish_reason === 'stop',
-      prompt_eval_count: response.timings.cache_n,
-      eval_count: response.timings.predicted_n || 0,
-      total_tokens: response.timings.cache_n + (response.timings.predicted_n || 0)
-    }
+  return {
+    model: response.model || request.model,
+    embeddings: data.map(item => truncateEmbedding(item.embedding, request.dimensions)),
+    total_duration: 0,
+    load_duration: 0,
+    prompt_eval_count: response.usage?.prompt_tokens || 0
   }
+}
 
-  // Fallback to 0 if no data available
+// Helper function to translate OpenAI embeddings response to Ollama format for legacy embeddings endpoint
+const translateOpenAIToOllamaEmbeddings = (response) => {
   return {
-    model: response.model,
-    created_at: new Date(response.created * 1000).toISOString(),
-    response: response.choices[0].message.content,
-    done: response.choices[0].finish_reason === 'stop',
-    prompt_eval_count: 0,
-    eval_count: 0,
-    total_tokens: 0
+    embedding: response.data?.[0]?.embedding || [],
+    prompt_eval_count: response.usage?.prompt_tokens || 0
   }
 }
 
-// Helper function to translate OpenAI streaming response to Ollama format for chat endpoint
-const translateOpenAIStreamToOllamaChat = (response) => {
-  const delta = response.choices[0].delta || {}
-  const message = {
-    role: delta.role || 'assistant',
-    content: delta.content || ''
+// Helper function to check that a model exists on its upstream, throwing a 404 error when it does not
+const checkUpstreamModel = async (name) => {
+  const { model } = modelCatalog.resolve(name);
+  const { backend, model: upstreamModel } = backendRouter.resolve(model);
+  const response = await backend.client.get('/v1/models');
+  const upstream = (response.data.data || []).find(item => item.id === upstreamModel);
+  if (!upstream) {
+    const error = new Error(`model "${name}" not found on the upstream`);
+    error.status = 404;
+    throw error;
   }
+  return upstream;
+}
 
-  // Include tool calls if present
-  if (delta.tool_calls && delta.tool_calls.length > 0) {
-    message.tool_calls = delta.tool_calls;
+// Helper function to build a virtual model definition from an Ollama create request (Modelfile and/or JSON fields)
+const buildVirtualModelDefinition = (request) => {
+  const modelfile = request.modelfile ? parseModelfile(request.modelfile) : { from: null, parameters: {}, messages: [] };
+  const from = request.from || modelfile.from;
+  if (!from) {
+    const error = new Error('neither "from" nor a Modelfile with a FROM line was specified');
+    error.status = 400;
+    throw error;
   }
 
-  const isDone = response.choices[0].finish_reason ? true : false;
+  // Creating from a virtual model inherits its settings, so definitions always point at an upstream model
+  const { model, virtualModel: base } = modelCatalog.resolve(from);
+  const options = { ...(base?.options || {}), ...modelfile.parameters, ...(request.parameters || {}) };
+  const contextSize = options.num_ctx || base?.contextSize;
+  delete options.num_ctx;
 
-  // Base response object - use streaming format with message field
-  const ollamaResponse = {
-    model: response.model,
-    created_at: new Date().toISOString(),
-    message: message, // Keep message field for streaming compatibility
-    done: isDone
+  const template = request.template ?? modelfile.template ?? base?.template;
+  return {
+    model: model,
+    system: request.system ?? modelfile.system ?? base?.system,
+    template: template,
+    options: options,
+    contextSize: contextSize,
+    messages: request.messages || (modelfile.messages.length > 0 ? modelfile.messages : base?.messages)
   }
+}
 
-  // Add token usage from OpenAI usage field (OpenAI-compatible format)
-  if (response.usage) {
-    ollamaResponse.prompt_eval_count = response.usage.prompt_tokens || 0;
-    ollamaResponse.eval_count = response.usage.completion_tokens || 0;
-    ollamaResponse.total_tokens = response.usage.total_tokens || 0;
-  } else if (response.timings && response.timings.cache_n !== undefined) {
-    // Add token usage from llama.cpp timing data as fallback
-    // cache_n = cached prompt tokens, predicted_n = predicted completion tokens
-    ollamaResponse.prompt_eval_count = response.timings.cache_n;
-    ollamaResponse.eval_count = response.timings.predicted_n || 0;
-    ollamaResponse.total_tokens = response.timings.cache_n + (response.timings.predicted_n || 0);
+// Helper function to report the steps of a model operation as Ollama status updates
+const sendStatusUpdates = (res, stream, statuses) => {
+  if (!stream) {
+    res.json({ status: statuses[statuses.length - 1] });
+    return;
   }
 
-  // Add standard Ollama fields for final response
-  if (isDone) {
-    ollamaResponse.done_reason = "stop";
-    ollamaResponse.context = []; // Empty context array as placeholder
-
-    // Use timing data if available
-    if (response.timings) {
-      ollamaResponse.total_duration = response.timings.total_duration || 0;
-      ollamaResponse.load_duration = response.timings.load_duration || 0;
-      ollamaResponse.prompt_eval_duration = response.timings.prompt_eval_duration || 0;
-      ollamaResponse.eval_duration = response.timings.eval_duration || 0;
-    }
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson',
+    'Cache-Control': 'no-cache'
+  });
+  for (const status of statuses) {
+    res.write(JSON.stringify({ status: status }) + '\n');
   }
+  res.end();
+}
 
-  return ollamaResponse;
+// Helper function to rebuild a generate request that continues a conversation through its context: the
+// earlier turns become messages between the system prompt (or a virtual model's example messages) and the
+// prompt. Without a known context the request is left as it is.
+const continueGenerateConversation = (request, restored) => {
+  if (!restored) {
+    return request;
+  }
+  const continued = { ...request };
+  if (Array.isArray(request.messages)) {
+    // A virtual model with example messages has already turned the prompt into the last message
+    continued.messages = [...request.messages.slice(0, -1), ...restored.messages, request.messages[request.messages.length - 1]];
+  } else {
+    const system = request.system || restored.system;
+    continued.messages = [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...restored.messages,
+      { role: 'user', content: request.prompt || '', images: request.images }
+    ];
+    delete continued.images;
+  }
+  return continued;
 }
 
 // Generate endpoint (Ollama API)
 app.post('/api/generate', async (req, res) => {
+  const timing = createRequestTiming();
   try {
-    const ollamaRequest = req.body;
-    const openaiRequest = translateOllamaToOpenAI(ollamaRequest);
-    const openaiResponse = await openaiClient.post('/v1/chat/completions', openaiRequest, {
-      timeout: 30000
-    });
+    const ollamaRequest = modelCatalog.applyToRequest(req.body);
+    const accept = req.headers.accept || '';
+    // Like Ollama, responses stream unless the request sets "stream": false
+    const isStreaming = ollamaRequest.stream !== false || accept.includes('text/event-stream');
+    // Raw, fill-in-the-middle and templated prompts are completions, everything else goes through chat
+    const completionRequest = translateOllamaToCompletion(ollamaRequest);
+    // Chat requests can continue an earlier conversation through the context of its last response
+    const restored = completionRequest ? null : sessionStore.restore(ollamaRequest.context);
+    if (!completionRequest && !restored && Array.isArray(ollamaRequest.context) && ollamaRequest.context.length > 0) {
+      res.locals.log.warn('unknown or expired context, starting a new conversation');
+    }
+    const translatedRequest = completionRequest
+      || translateOllamaToOpenAI(continueGenerateConversation(ollamaRequest, restored), modelCatalog.resolve(req.body.model).virtualModel?.promptFormat);
+    // Stores the turn and returns the context that continues the conversation after it
+    const saveConversation = (responseText) => sessionStore.save(restored, ollamaRequest.system || restored?.system, [
+      ...(restored ? restored.messages : []),
+      { role: 'user', content: ollamaRequest.prompt || '' },
+      { role: 'assistant', content: responseText }
+    ]);
+    const post = completionRequest ? postCompletion : postChatCompletion;
+    const priority = parsePriority(req.get('X-Priority'));
+    res.locals.timing = timing;
+    const cancellation = cancelOnClientDisconnect(res, '/api/generate', translatedRequest.model, isStreaming, timing);
+    const openaiRequest = completionRequest || await fitContextWindow(translatedRequest, ollamaRequest.options, res, cancellation.signal, priority);
+
+    if (isStreaming) {
+      // Retries and failover happen before anything is sent to the client
+      const openaiResponse = await sendToUpstream({
+        ...openaiRequest,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, (backend, request, headers) => post(backend, request, {
+        responseType: 'stream',
+        signal: cancellation.signal,
+        headers: headers
+      }), { signal: cancellation.signal, priority: priority, locals: res.locals });
+
+      const streamState = createStreamState(ollamaRequest, timing);
+      if (completionRequest) {
+        // llama.cpp's /infill chunks don't name the model
+        streamState.model = ollamaRequest.model;
+        await streamOpenAIToOllama(req, res, openaiResponse.data,
+          (chunk) => translateCompletionStreamToOllamaGenerate(chunk, streamState),
+          () => recordUsage(req, finishOllamaGenerateStream(streamState)),
+          { onCancel: () => recordUsage(req, finishOllamaGenerateStream(estimateStreamUsage(streamState, openaiRequest))) });
+        return;
+      }
+      let responseText = '';
+      await streamOpenAIToOllama(req, res, openaiResponse.data,
+        (chunk) => {
+          const ollamaChunk = translateOpenAIStreamToOllamaGenerate(chunk, streamState);
+          responseText += ollamaChunk.response;
+          return ollamaChunk;
+        },
+        () => recordUsage(req, { ...finishOllamaGenerateStream(streamState), context: saveConversation(responseText) }),
+        { onCancel: () => recordUsage(req, finishOllamaGenerateStream(estimateStreamUsage(streamState, openaiRequest))) });
+      return;
+    }
 
-    const ollamaResponse = translateOpenAIToOllamaGenerate(openaiResponse.data);
+    const openaiResponse = await sendToUpstream(openaiRequest, (backend, request, headers) => post(backend, request, { signal: cancellation.signal, headers: headers }), { signal: cancellation.signal, priority: priority, locals: res.locals });
+
+    const ollamaResponse = recordUsage(req, completionRequest
+      ? translateCompletionToOllamaGenerate(openaiResponse.data, ollamaRequest, timing)
+      : translateOpenAIToOllamaGenerate(openaiResponse.data, ollamaRequest, timing));
+    if (!completionRequest) {
+      ollamaResponse.context = saveConversation(ollamaResponse.response);
+    }
+    setFormatValidationHeader(res, ollamaResponse.response, ollamaRequest.format);
     res.json(ollamaResponse);
   } catch (error) {
-    if (error.response) {
+    if (error.code === 'ERR_CANCELED') {
+      // The client has gone away and the upstream request was cancelled, so there is nobody to answer
+      return;
+    }
+    // Streaming requests receive the upstream error body as a stream
+    if (typeof error.response?.data?.on === 'function') {
+      error.response.data = await readStreamBody(error.response.data);
+    }
+    recordError(res, error);
+    if (error.status && !error.response) {
+      // Request validation errors raised while translating
+      res.status(error.status).json({
+        error: error.message
+      });
+    } else if (error.response) {
       res.status(error.response.status).json({
         error: error.response.data
       });
@@ -328,271 +2074,157 @@ app.post('/api/generate', async (req, res) => {
 
 // Chat endpoint (Ollama API)
 app.post('/api/chat', async (req, res) => {
+  const timing = createRequestTiming();
   try {
-    const ollamaRequest = req.body;
+    const ollamaRequest = modelCatalog.applyToRequest(req.body);
     const accept = req.headers.accept || '';
-    let isStreaming = !!ollamaRequest.stream || accept.includes('text/event-stream');
+    // Like Ollama, responses stream unless the request sets "stream": false
+    let isStreaming = ollamaRequest.stream !== false || accept.includes('text/event-stream');
 
     if (isStreaming && (!ollamaRequest.messages || ollamaRequest.messages.length === 0)) {
       isStreaming = false;
     }
 
-    const openaiRequest = translateOllamaToOpenAI(ollamaRequest);
-
-    // Ensure the OpenAI request is set to stream when we intend to stream
-    if (isStreaming) {
-      openaiRequest.stream = true;
-    }
+    const translatedRequest = translateOllamaToOpenAI(ollamaRequest);
+    const priority = parsePriority(req.get('X-Priority'));
+    res.locals.timing = timing;
+    const cancellation = cancelOnClientDisconnect(res, '/api/chat', translatedRequest.model, isStreaming, timing);
+    const openaiRequest = await fitContextWindow(translatedRequest, ollamaRequest.options, res, cancellation.signal, priority);
 
     if (isStreaming) {
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive'
-      });
+      // Retries and failover happen before anything is sent to the client
+      const openaiResponse = await sendToUpstream({
+        ...openaiRequest,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, (backend, request, headers) => postChatCompletion(backend, request, {
+        responseType: 'stream',
+        signal: cancellation.signal,
+        headers: headers
+      }), { signal: cancellation.signal, priority: priority, locals: res.locals });
 
-      try {
-        const openaiResponse = await openaiClient.post('/v1/chat/completions', {
-          ...openaiRequest,
-          stream: true
-        }, {
-          timeout: 30000,
-          responseType: 'stream'
+      const streamState = createStreamState(ollamaRequest, timing);
+      await streamOpenAIToOllama(req, res, openaiResponse.data,
+        (chunk) => translateOpenAIStreamToOllamaChat(chunk, streamState),
+        () => recordUsage(req, finishOllamaChatStream(streamState)),
+        {
+          legacy: config.translation.legacyStream,
+          onCancel: () => recordUsage(req, finishOllamaChatStream(estimateStreamUsage(streamState, openaiRequest)))
         });
+      return;
+    }
 
-        let responseBuffer = '';
-        let firstChunk = true;
-        let streamEnded = false;
-
-        // If the response is not a stream (e.g., due to misconfiguration), fallback to normal response
-        if (typeof openaiResponse.data.on !== 'function') {
-          const normalResponse = await openaiClient.post('/v1/chat/completions', openaiRequest, {
-            timeout: 30000
-          });
-          const ollamaResponse = translateOpenAIToOllamaChat(normalResponse.data);
-          res.json(ollamaResponse);
-          res.end();
-          return;
+    const openaiResponse = await sendToUpstream(openaiRequest, (backend, request, headers) => postChatCompletion(backend, request, { signal: cancellation.signal, headers: headers }), { signal: cancellation.signal, priority: priority, locals: res.locals });
+    const ollamaResponse = recordUsage(req, translateOpenAIToOllamaChat(openaiResponse.data, ollamaRequest, timing));
+    setFormatValidationHeader(res, ollamaResponse.message.content, ollamaRequest.format);
+    res.json(ollamaResponse);
+  } catch (error) {
+    if (error.code === 'ERR_CANCELED') {
+      // The client has gone away and the upstream request was cancelled, so there is nobody to answer
+      return;
+    }
+    // Streaming requests receive the upstream error body as a stream
+    if (typeof error.response?.data?.on === 'function') {
+      error.response.data = await readStreamBody(error.response.data);
+    }
+    recordError(res, error);
+    if (error.status && !error.response) {
+      // Request validation errors raised while translating
+      res.status(error.status).json({
+        error: error.message
+      });
+    } else if (error.response) {
+      res.status(error.response.status).json({
+        error: error.response.data
+      });
+    } else if (error.code === 'ECONNABORTED') {
+      res.status(504).json({
+        error: {
+          message: 'Request timeout - the OpenAI server took too long to respond',
+          type: 'timeout_error'
         }
+      });
+    } else {
+      res.status(500).json({
+        error: {
+          message: 'Internal server error',
+          type: 'server_error'
+        }
+      });
+    }
+  }
+});
 
-        openaiResponse.data.on('data', (chunk) => {
-          if (streamEnded) return;
-          responseBuffer += chunk.toString();
-          const lines = responseBuffer.split('\n');
-          responseBuffer = lines.pop() || '';
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.substring(6);
-              if (data === '[DONE]') {
-                if (!streamEnded) {
-                  res.write('[DONE]\n');
-                  res.flush();
-                  res.end();
-                  streamEnded = true;
-                }
-                return;
-              }
-              try {
-                const jsonData = JSON.parse(data);
-                if (jsonData.error) {
-                  const errorResponse = { error: jsonData.error }
-                  res.write(JSON.stringify(errorResponse) + '\n');
-                  res.write('[DONE]\n');
-                  res.end();
-                  streamEnded = true;
-                  return;
-                }
-                const ollamaData = translateOpenAIStreamToOllamaChat(jsonData);
-                if (firstChunk) {
-                  const firstChunkData = {
-                    model: ollamaData.model,
-                    created_at: ollamaData.created_at,
-                    message: { role: 'assistant', content: '' },
-                    done: false,
-                    prompt_eval_count: ollamaData.prompt_eval_count,
-                    eval_count: ollamaData.eval_count,
-                    total_tokens: ollamaData.total_tokens
-                  }
-                  res.write(JSON.stringify(firstChunkData) + '\n');
-                  firstChunk = false;
-                }
-                if (ollamaData.message.content || ollamaData.message.tool_calls) {
-                  const responseChunk = {
-                    model: ollamaData.model,
-                    created_at: ollamaData.created_at,
-                    message: ollamaData.message,
-                    done: false,
-                    prompt_eval_count: ollamaData.prompt_eval_count,
-                    eval_count: ollamaData.eval_count,
-                    total_tokens: ollamaData.total_tokens
-                  }
-                  res.write(JSON.stringify(responseChunk) + '\n');
-                }
-                if (ollamaData.done) {
-                  const responseChunk = {
-                    model: ollamaData.model,
-                    created_at: ollamaData.created_at,
-                    message: ollamaData.message,
-                    done: true,
-                    prompt_eval_count: ollamaData.prompt_eval_count,
-                    eval_count: ollamaData.eval_count,
-                    total_tokens: ollamaData.total_tokens,
-                    done_reason: ollamaData.done_reason,
-                    context: ollamaData.context,
-                    total_duration: ollamaData.total_duration,
-                    load_duration: ollamaData.load_duration,
-                    prompt_eval_duration: ollamaData.prompt_eval_duration,
-                    eval_duration: ollamaData.eval_duration
-                  }
-                  res.write(JSON.stringify(responseChunk) + '\n');
-                }
-                if (ollamaData.done) {
-                  res.write('[DONE]\n');
-                  res.flush();
-                  res.end();
-                  streamEnded = true;
-                }
-              } catch (parseError) {
-                const errorResponse = { error: { message: 'Error parsing response', type: 'parse_error' } }
-                res.write(JSON.stringify(errorResponse) + '\n');
-                res.write('[DONE]\n');
-                res.end();
-                streamEnded = true;
-              }
-            }
-          }
-        });
-
+// Embed endpoint (Ollama API)
+app.post('/api/embed', async (req, res) => {
+  try {
+    const ollamaRequest = req.body;
 
-        openaiResponse.data.on('end', () => {
-          if (!streamEnded) {
-            // Process any remaining data in the buffer
-            if (responseBuffer.trim()) {
-              const lines = responseBuffer.split('\n');
-              for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                  const data = line.substring(6);
-
-                  if (data === '[DONE]') {
-                    if (!streamEnded) {
-                      res.write('[DONE]\n');
-                      res.flush();
-                      res.end();
-                      streamEnded = true;
-                    }
-                    return;
-                  }
-
-                  try {
-                    const jsonData = JSON.parse(data);
-                    // Check if this is an error response
-                    if (jsonData.error) {
-                      const errorResponse = {
-                        error: jsonData.error
-                      }
-                      const errorJson = JSON.stringify(errorResponse);
-                      res.write(errorJson + '\n');
-                      res.write('[DONE]\n');
-                      res.flush();
-                      res.end();
-                      streamEnded = true;
-                      return;
-                    }
-
-                    const ollamaData = translateOpenAIStreamToOllamaChat(jsonData);
-
-                    const responseChunk = {
-                      model: ollamaData.model,
-                      created_at: ollamaData.created_at,
-                      message: ollamaData.message,
-                      done: ollamaData.done
-                    }
-                    const chunkJson = JSON.stringify(responseChunk);
-                    res.write(chunkJson + '\n');
-
-                    if (ollamaData.done) {
-                      res.write('[DONE]\n');
-                      res.flush();
-                      res.end();
-                      streamEnded = true;
-                    }
-                  } catch (parseError) {
-                    // Send error and complete stream
-                    const errorResponse = {
-                      error: {
-                        message: 'Error parsing response',
-                        type: 'parse_error'
-                      }
-                    }
-                    const errorJson = JSON.stringify(errorResponse);
-                    res.write(errorJson + '\n');
-                    res.write('[DONE]\n');
-                    res.flush();
-                    res.end();
-                    streamEnded = true;
-                  }
-                }
-              }
-            }
-
-            // If we haven't ended yet, send DONE marker
-            if (!streamEnded) {
-              res.write('[DONE]\n');
-              res.flush();
-              res.end();
-              streamEnded = true;
-            }
-          }
-        });
+    // Ollama answers an empty batch without loading the model
+    if (Array.isArray(ollamaRequest.input) && ollamaRequest.input.length === 0) {
+      res.json({ model: ollamaRequest.model, embeddings: [] });
+      return;
+    }
 
-        openaiResponse.data.on('close', () => {
-          if (!streamEnded) {
-            if (!streamEnded) {
-              res.write('[DONE]\n');
-              res.end();
-              streamEnded = true;
-            }
-          }
-        });
+    const openaiRequest = translateOllamaEmbedToOpenAI({
+      ...ollamaRequest,
+      model: resolveEmbeddingModel(ollamaRequest.model)
+    });
+    const openaiResponse = await sendToUpstream(openaiRequest, (backend, request, headers) => postEmbeddings(backend, request, { headers: headers }), { priority: parsePriority(req.get('X-Priority')), locals: res.locals });
 
-        openaiResponse.data.on('error', (error) => {
-          if (!streamEnded) {
-            const errorResponse = {
-              error: {
-                message: error.message || 'Stream error',
-                type: 'stream_error'
-              }
-            }
-            const errorJson = JSON.stringify(errorResponse);
-            res.write(errorJson + '\n');
-            res.write('[DONE]\n');
-            res.end();
-            streamEnded = true;
-          }
-        });
-      } catch (error) {
-        const errorResponse = {
-          error: {
-            message: error.message || 'Internal server error',
-            type: 'server_error'
-          }
+    res.json(recordUsage(req, translateOpenAIToOllamaEmbed(openaiResponse.data, ollamaRequest)));
+  } catch (error) {
+    recordError(res, error);
+    if (error.response) {
+      res.status(error.response.status).json({
+        error: error.response.data
+      });
+    } else if (error.status) {
+      // No upstream available for the model, or only one without embeddings
+      res.status(error.status).json({
+        error: error.message
+      });
+    } else if (error.code === 'ECONNABORTED') {
+      res.status(504).json({
+        error: {
+          message: 'Request timeout - the OpenAI server took too long to respond',
+          type: 'timeout_error'
         }
-        res.write(`${JSON.stringify(errorResponse)}\n\n`);
-        res.write('[DONE]\n\n');
-        res.end();
-      }
+      });
     } else {
-      const openaiResponse = await openaiClient.post('/v1/chat/completions', openaiRequest, {
-        timeout: 30000
+      res.status(500).json({
+        error: {
+          message: 'Internal server error',
+          type: 'server_error'
+        }
       });
-      const ollamaResponse = translateOpenAIToOllamaChat(openaiResponse.data);
-      res.json(ollamaResponse);
     }
+  }
+});
+
+// Embeddings endpoint (Ollama API - legacy, superseded by /api/embed)
+app.post('/api/embeddings', async (req, res) => {
+  try {
+    const ollamaRequest = req.body;
+    const openaiRequest = translateOllamaEmbedToOpenAI({
+      model: resolveEmbeddingModel(ollamaRequest.model),
+      input: ollamaRequest.prompt || ''
+    });
+    const openaiResponse = await sendToUpstream(openaiRequest, (backend, request, headers) => postEmbeddings(backend, request, { headers: headers }), { priority: parsePriority(req.get('X-Priority')), locals: res.locals });
+
+    recordUsage(req, { prompt_eval_count: openaiResponse.data.usage?.prompt_tokens });
+    res.json(translateOpenAIToOllamaEmbeddings(openaiResponse.data));
   } catch (error) {
+    recordError(res, error);
     if (error.response) {
       res.status(error.response.status).json({
         error: error.response.data
       });
+    } else if (error.status) {
+      // No upstream available for the model, or only one without embeddings
+      res.status(error.status).json({
+        error: error.message
+      });
     } else if (error.code === 'ECONNABORTED') {
       res.status(504).json({
         error: {
@@ -611,15 +2243,128 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// Pull endpoint (Ollama API - model download)
+// Pull endpoint (Ollama API - model download). Models live on the upstream, so pulling only checks that it serves the model.
 app.post('/api/pull', async (req, res) => {
   try {
-    const { name } = req.body;
-    res.json({
-      status: 'success',
-      model: name
-    });
+    const name = req.body.model || req.body.name;
+    await checkUpstreamModel(name);
+    sendStatusUpdates(res, req.body.stream !== false, ['pulling manifest', 'verifying sha256 digest', 'writing manifest', 'success']);
+  } catch (error) {
+    recordError(res, error);
+    if (error.status) {
+      res.status(error.status).json({
+        error: `pull model manifest: ${error.message}`
+      });
+    } else {
+      res.status(500).json({
+        error: {
+          message: 'Internal server error',
+          type: 'server_error'
+        }
+      });
+    }
+  }
+});
+
+// Create endpoint (Ollama API - create a virtual model from a Modelfile)
+app.post('/api/create', async (req, res) => {
+  try {
+    const name = req.body.model || req.body.name;
+    if (!name) {
+      res.status(400).json({
+        error: 'model name is required'
+      });
+      return;
+    }
+
+    const definition = buildVirtualModelDefinition(req.body);
+    if (req.apiKey) {
+      // The Modelfile's FROM may name another model than the request body
+      accessControl.checkModels(req.apiKey, [definition.model, modelCatalog.resolve(definition.model).model]);
+    }
+    await checkUpstreamModel(definition.model);
+    modelStore.set(name, definition);
+
+    const statuses = ['reading model metadata'];
+    if (definition.template) {
+      statuses.push('creating template layer');
+    }
+    if (definition.system) {
+      statuses.push('creating system layer');
+    }
+    if (Object.keys(definition.options).length > 0 || definition.contextSize) {
+      statuses.push('creating parameters layer');
+    }
+    if (definition.messages && definition.messages.length > 0) {
+      statuses.push('creating messages layer');
+    }
+    statuses.push('writing manifest', 'success');
+    sendStatusUpdates(res, req.body.stream !== false, statuses);
   } catch (error) {
+    recordError(res, error);
+    if (error.status) {
+      res.status(error.status).json({
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: {
+          message: 'Internal server error',
+          type: 'server_error'
+        }
+      });
+    }
+  }
+});
+
+// Copy endpoint (Ollama API - copy a model under a new name)
+app.post('/api/copy', async (req, res) => {
+  try {
+    const { source, destination } = req.body;
+    if (!source || !destination) {
+      res.status(400).json({
+        error: 'source and destination are required'
+      });
+      return;
+    }
+
+    const { model, virtualModel } = modelCatalog.resolve(source);
+    if (!virtualModel) {
+      await checkUpstreamModel(source);
+    }
+    const { name, modified_at, ...definition } = virtualModel || { model: model };
+    modelStore.set(destination, definition);
+    res.status(200).end();
+  } catch (error) {
+    recordError(res, error);
+    if (error.status) {
+      res.status(error.status).json({
+        error: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: {
+          message: 'Internal server error',
+          type: 'server_error'
+        }
+      });
+    }
+  }
+});
+
+// Delete endpoint (Ollama API - delete a model). Only models created through this server can be deleted.
+app.delete('/api/delete', async (req, res) => {
+  try {
+    const name = req.body.model || req.body.name;
+    if (!name || !modelStore.remove(name)) {
+      res.status(404).json({
+        error: `model '${name}' not found`
+      });
+      return;
+    }
+    res.status(200).end();
+  } catch (error) {
+    recordError(res, error);
     res.status(500).json({
       error: {
         message: 'Internal server error',
@@ -632,16 +2377,33 @@ app.post('/api/pull', async (req, res) => {
 // Tags endpoint (Ollama API - list models)
 app.get('/api/tags', async (req, res) => {
   try {
-    const response = await openaiClient.get('/v1/models');
-    const models = response.data.data.map(model => ({
+    const upstreamModels = await backendRouter.listModels();
+    upstreamModels.forEach(model => listedModels.add(model.id));
+    const models = upstreamModels.map(model => ({
       name: model.id,
       modified_at: new Date().toISOString(),
       size: 0
     }));
+
+    // Aliases and virtual models are listed like real models
+    for (const entry of modelCatalog.list()) {
+      models.push({
+        name: entry.name,
+        modified_at: entry.modified_at || new Date().toISOString(),
+        size: 0,
+        details: {
+          parent_model: entry.target
+        }
+      });
+    }
     res.json({
-      models: models
+      // A key limited to some models only sees those, and the aliases and virtual models leading to them
+      models: req.apiKey
+        ? models.filter(model => accessControl.allowsModel(req.apiKey, model.name) && accessControl.allowsModel(req.apiKey, modelCatalog.resolve(model.name).model))
+        : models
     });
   } catch (error) {
+    recordError(res, error);
     res.status(500).json({
       error: {
         message: 'Internal server error',
@@ -655,20 +2417,34 @@ app.get('/api/tags', async (req, res) => {
 app.post('/api/show', async (req, res) => {
   try {
     const { model } = req.body;
-    const response = await openaiClient.get(`/v1/models/${model}`);
-    res.json({
+    const description = modelCatalog.describe(model);
+    const { backend, model: upstreamModel } = backendRouter.resolve(description.model);
+    const response = await upstreamProtocolHandlers[backend.protocol].getModel(backend, upstreamModel);
+    const showResponse = {
       model: model,
       details: {
+        parent_model: description.model !== model ? description.model : '',
         format: 'openai',
         family: 'gpt',
         families: ['gpt'],
         parameter_size: 'unknown',
         quantization_level: 'unknown'
       },
-      modified_at: new Date(response.data.created * 1000).toISOString(),
+      parameters: description.parameters,
+      system: description.system,
+      template: description.template,
+      modified_at: (response.data.created ? new Date(response.data.created * 1000) : new Date()).toISOString(),
       size: 0
-    });
+    }
+    if (description.contextSize) {
+      showResponse.model_info = { 'general.context_length': description.contextSize };
+    }
+    if (description.virtualModel) {
+      showResponse.modelfile = formatModelfile(description.virtualModel.name, description.virtualModel);
+    }
+    res.json(showResponse);
   } catch (error) {
+    recordError(res, error);
     if (error.response && error.response.status === 404) {
       res.status(404).json({
         error: `model not found: ${req.body.model}`
@@ -684,14 +2460,95 @@ app.post('/api/show', async (req, res) => {
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy' });
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.render());
+});
+
+// Helper function to check that every backend answers /v1/models, with its circuit breaker and queue state.
+// The health checks need no API key, so backends are reported by name only, without their URLs.
+const probeBackends = async () => {
+  const backends = backendRouter.backends;
+  const results = await Promise.allSettled(backends.map(backend => backend.client.get('/v1/models', { timeout: 5000 })));
+  return backends.map((backend, index) => {
+    const result = results[index];
+    const queue = requestQueues.get(backend.name);
+    if (result.status === 'fulfilled') {
+      addListedModels(backend, result.value);
+    }
+    return {
+      name: backend.name,
+      status: result.status === 'fulfilled' ? 'up' : 'down',
+      error: result.status === 'rejected' ? (result.reason.response ? `status ${result.reason.response.status}` : result.reason.message) : undefined,
+      circuit: circuitBreaker.isOpen(backend.name) ? 'open' : 'closed',
+      queue: queue ? queue.stats() : undefined
+    }
+  });
+}
+
+// Readiness: the proxy can serve requests when at least one backend answers, since requests for a
+// backend that is down can fail over to the others
+const checkReadiness = async (req, res) => {
+  const backends = await probeBackends();
+  const ready = backends.some(backend => backend.status === 'up');
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'healthy' : 'unhealthy',
+    backends: backends
+  });
+}
+
+// Health check endpoints
+app.get('/health', checkReadiness);
+app.get('/health/ready', checkReadiness);
+
+// Liveness: the process is up and handling requests, without asking the upstream
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'alive' });
 });
 
 // Start server
-app.listen(ollamaPort, () => {
-  console.log(`Ollama-compatible API server running on ${ollamaHost}:${ollamaPort}`);
-  console.log(`Forwarding requests to OpenAI at ${argv.openaiHost}:${argv.openaiPort}`);
-  console.log(`OpenAI API key: ${argv.openaiKey ? 'configured' : 'NOT configured'}`);
-});
\ No newline at end of file
+app.listen(ollamaPort, ollamaHost, () => {
+  logger.info(`Ollama-compatible API server running on ${ollamaHost}:${ollamaPort}`);
+  logger.info(`Forwarding requests to OpenAI at ${config.upstream.url}`);
+  for (const backend of backendRouter.backends.filter(backend => backend !== backendRouter.defaultBackend)) {
+    logger.info(`Routing models to backend ${backend.name} at ${backend.baseURL}${backend.prefix ? ` (prefix ${backend.prefix})` : ''}`);
+  }
+  logger.info(`OpenAI API key: ${config.upstream.apiKey ? 'configured' : 'NOT configured'}`);
+  if (config.mock.mode === 'record' || config.mock.mode === 'replay') {
+    logger.info(`Upstream mock: ${config.mock.mode === 'record' ? 'recording to' : 'replaying'} cassette ${config.mock.cassette}`);
+  } else if (config.mock.mode === 'fake') {
+    logger.info(`Upstream mock: answering from the fake upstream${config.mock.script ? ` with script ${config.mock.script}` : ''}, no requests leave the proxy`);
+  }
+  if (config.logging.capture.file) {
+    logger.info(`Capturing requests to ${config.logging.capture.file}`);
+  }
+  refreshListedModels();
+});
+
+// SIGINT (Ctrl+C) and SIGTERM would end the process without the exit handlers, which write the API key
+// usage and sessions not saved yet
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    logger.info(`Received ${signal}, shutting down`);
+    process.exit(0);
+  });
+}
+
+// Apply configuration changes without a restart. In-flight requests keep the backend they started with.
+watchConfig(argv, (newConfig, reason) => {
+  if (newConfig.listen.host !== ollamaHost || newConfig.listen.port !== ollamaPort) {
+    logger.warn('Configuration reload: listen address changes take effect after a restart');
+  }
+  if (JSON.stringify(newConfig.mock) !== JSON.stringify(config.mock)) {
+    logger.warn('Configuration reload: mock changes take effect after a restart');
+  }
+  backendRouter = createConfiguredBackendRouter(newConfig);
+  modelCatalog = createModelCatalog(newConfig, modelStore);
+  accessControl = createAccessControl(newConfig.apiKeys, keyUsageStore);
+  config = newConfig;
+  refreshListedModels();
+  logger.info(`Configuration reloaded (${reason})`);
+}, (error, reason) => {
+  logger.error(`Configuration reload (${reason}) failed, keeping the previous configuration`, { error: error.message });
+});
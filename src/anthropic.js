@@ -0,0 +1,347 @@
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+// Version of the Messages API the requests are written for
+const anthropicVersion = '2023-06-01';
+
+// The Messages API requires max_tokens, this is used when the request sets none
+const defaultMaxTokens = 4096;
+
+// Thinking budgets in tokens for Ollama's think levels; think: true gets the medium budget
+const thinkingBudgets = {
+  low: 1024,
+  medium: 4096,
+  high: 16384
+};
+
+// OpenAI finish reasons of the Messages API stop reasons
+const finishReasons = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  pause_turn: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls',
+  refusal: 'content_filter'
+};
+
+// Helper function to build the headers the Messages API authenticates and versions requests with
+const anthropicHeaders = (apiKey) => ({
+  'anthropic-version': anthropicVersion,
+  ...(apiKey ? { 'x-api-key': apiKey } : {})
+});
+
+// Helper function to translate an OpenAI image_url part to an image block, from a data URL or a web URL
+const translateImage = (url) => {
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  if (match) {
+    return { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } };
+  }
+  return { type: 'image', source: { type: 'url', url: url } };
+}
+
+// Helper function to translate OpenAI message content (a string or text and image parts) to content blocks
+const translateContent = (content) => {
+  if (!Array.isArray(content)) {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+  return content.map(part => (part.type === 'image_url'
+    ? translateImage(part.image_url.url)
+    : { type: 'text', text: part.text || '' }));
+}
+
+// Helper function to read the JSON arguments of an OpenAI tool call, which the Messages API wants as an object
+const parseArguments = (value) => {
+  if (typeof value !== 'string') {
+    return value || {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Helper function to translate an OpenAI tool choice to the Messages API's
+const translateToolChoice = (toolChoice) => {
+  if (toolChoice === 'auto' || toolChoice === 'none') {
+    return { type: toolChoice };
+  }
+  if (toolChoice === 'required') {
+    return { type: 'any' };
+  }
+  if (toolChoice && toolChoice.function) {
+    return { type: 'tool', name: toolChoice.function.name };
+  }
+  return undefined;
+}
+
+// Translates an OpenAI chat completion request to a Messages API request. System messages become the
+// system prompt, tool calls tool_use blocks and tool messages tool_result blocks in a user turn; turns of
+// the same role are merged, as the API wants them to alternate. Think levels (reasoning_effort) and
+// llama.cpp's enable_thinking switch turn on extended thinking, with the answer's max_tokens on top of
+// the thinking budget. Fields without an equivalent, like response_format and seed, are dropped.
+const translateOpenAIToAnthropic = (request) => {
+  const system = [];
+  const messages = [];
+  const addBlocks = (role, blocks) => {
+    const previous = messages[messages.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...blocks);
+    } else {
+      messages.push({ role: role, content: blocks });
+    }
+  }
+
+  for (const message of request.messages || []) {
+    if (message.role === 'system' || message.role === 'developer') {
+      system.push(translateContent(message.content).filter(block => block.type === 'text').map(block => block.text).join('\n'));
+    } else if (message.role === 'tool') {
+      addBlocks('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content || '' }]);
+    } else if (message.role === 'assistant') {
+      addBlocks('assistant', [
+        ...translateContent(message.content),
+        ...(message.tool_calls || []).map(call => ({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function.name,
+          input: parseArguments(call.function.arguments)
+        }))
+      ]);
+    } else {
+      addBlocks('user', translateContent(message.content));
+    }
+  }
+
+  const thinkLevel = request.reasoning_effort || (request.chat_template_kwargs?.enable_thinking ? 'medium' : null);
+  const thinkingBudget = thinkingBudgets[thinkLevel];
+  const maxTokens = request.max_tokens || request.max_completion_tokens || defaultMaxTokens;
+
+  const anthropicRequest = {
+    model: request.model,
+    messages: messages,
+    system: system.length > 0 ? system.join('\n\n') : undefined,
+    max_tokens: thinkingBudget ? thinkingBudget + maxTokens : maxTokens,
+    stream: request.stream || false,
+    stop_sequences: request.stop === undefined ? undefined : [].concat(request.stop),
+    tools: request.tools ? request.tools.map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      input_schema: tool.function.parameters || { type: 'object', properties: {} }
+    })) : undefined,
+    tool_choice: translateToolChoice(request.tool_choice)
+  }
+
+  if (thinkingBudget) {
+    // Extended thinking doesn't go together with changed sampling parameters
+    anthropicRequest.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+  } else {
+    anthropicRequest.temperature = request.temperature;
+    anthropicRequest.top_p = request.top_p;
+    anthropicRequest.top_k = request.top_k;
+  }
+
+  return anthropicRequest;
+}
+
+// Helper function to translate Messages API usage, counting cached input tokens as prompt tokens
+const translateUsage = (usage) => {
+  const promptTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  }
+}
+
+// Translates a Messages API response to an OpenAI chat completion: text blocks become the content,
+// thinking blocks the reasoning_content and tool_use blocks tool calls
+const translateAnthropicToOpenAI = (response) => {
+  const blocks = response.content || [];
+  const content = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+  const reasoning = blocks.filter(block => block.type === 'thinking').map(block => block.thinking).join('');
+  const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+    id: block.id,
+    type: 'function',
+    function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+  }));
+
+  const message = { role: 'assistant', content: content || (toolCalls.length > 0 ? null : '') };
+  if (reasoning) {
+    message.reasoning_content = reasoning;
+  }
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+
+  return {
+    id: response.id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: response.model,
+    choices: [{ index: 0, message: message, finish_reason: finishReasons[response.stop_reason] || 'stop' }],
+    usage: translateUsage(response.usage || {})
+  }
+}
+
+// Helper function to translate a Messages API error body ({ type: 'error', error: { type, message } }) to
+// an OpenAI error body
+const translateAnthropicError = (body) => {
+  if (body && typeof body === 'object' && body.error) {
+    return { error: { message: body.error.message, type: body.error.type } };
+  }
+  return body;
+}
+
+// Creates a stream that turns the typed server-sent events of a streamed Messages API response
+// (message_start, content_block_start/delta/stop, message_delta, message_stop, ping and error) into
+// OpenAI chat completion chunks, ending with the usage chunk and [DONE] like an OpenAI stream with
+// stream_options.include_usage. Text deltas become content, thinking deltas reasoning_content and tool_use
+// blocks tool calls whose arguments arrive in pieces; an error event becomes an { error } chunk.
+const createAnthropicStreamTranslator = () => {
+  const decoder = new StringDecoder('utf8');
+  const created = Math.floor(Date.now() / 1000);
+  // Index of each content block's tool call, by block index
+  const toolCallIndexes = new Map();
+  let buffer = '';
+  let id = '';
+  let model = '';
+  let usage = {};
+
+  const chunk = (delta, finishReason) => `data: ${JSON.stringify({
+    id: id,
+    object: 'chat.completion.chunk',
+    created: created,
+    model: model,
+    choices: [{ index: 0, delta: delta, finish_reason: finishReason || null }]
+  })}\n\n`;
+
+  const translateEvent = (event) => {
+    if (event.type === 'message_start') {
+      id = event.message.id;
+      model = event.message.model;
+      usage = event.message.usage || {};
+      return chunk({ role: 'assistant', content: '' });
+    }
+    if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+      const index = toolCallIndexes.size;
+      toolCallIndexes.set(event.index, index);
+      return chunk({ tool_calls: [{ index: index, id: event.content_block.id, type: 'function', function: { name: event.content_block.name, arguments: '' } }] });
+    }
+    if (event.type === 'content_block_delta') {
+      const delta = event.delta;
+      if (delta.type === 'text_delta') {
+        return chunk({ content: delta.text });
+      }
+      if (delta.type === 'thinking_delta') {
+        return chunk({ reasoning_content: delta.thinking });
+      }
+      if (delta.type === 'input_json_delta') {
+        return chunk({ tool_calls: [{ index: toolCallIndexes.get(event.index), function: { arguments: delta.partial_json } }] });
+      }
+      return '';
+    }
+    if (event.type === 'message_delta') {
+      usage = { ...usage, ...(event.usage || {}) };
+      const finishReason = finishReasons[event.delta?.stop_reason] || 'stop';
+      const usageChunk = `data: ${JSON.stringify({ id: id, object: 'chat.completion.chunk', created: created, model: model, choices: [], usage: translateUsage(usage) })}\n\n`;
+      return chunk({}, finishReason) + usageChunk;
+    }
+    if (event.type === 'message_stop') {
+      return 'data: [DONE]\n\n';
+    }
+    if (event.type === 'error') {
+      return `data: ${JSON.stringify(translateAnthropicError(event))}\n\n`;
+    }
+    return '';
+  }
+
+  const translateLines = (stream, lines) => {
+    for (const line of lines) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      try {
+        stream.push(translateEvent(JSON.parse(line.slice(5).trim())));
+      } catch (error) {
+        // Unreadable events are passed on for the OpenAI stream parser to report
+        stream.push(`${line}\n\n`);
+      }
+    }
+  }
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      buffer += decoder.write(data);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      translateLines(this, lines);
+      callback();
+    },
+    flush(callback) {
+      translateLines(this, [buffer + decoder.end()]);
+      callback();
+    }
+  });
+}
+
+// Helper function to read a streamed error body, as far as it arrives
+const readBody = async (stream) => {
+  let body = '';
+  try {
+    for await (const data of stream) {
+      body += data.toString();
+    }
+  } catch (error) {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+// Sends an OpenAI chat completion request to a backend speaking the Messages API (POST /v1/messages) and
+// returns the response in the OpenAI format: a chat completion, or a stream of chat completion chunks
+// when `requestConfig.responseType` is 'stream'. Error bodies are read and translated to OpenAI error
+// bodies, so callers handle them as any other upstream error.
+const postAnthropicMessages = async (client, openaiRequest, requestConfig) => {
+  try {
+    const response = await client.post('/v1/messages', translateOpenAIToAnthropic(openaiRequest), requestConfig);
+    if (requestConfig.responseType !== 'stream') {
+      return { ...response, data: translateAnthropicToOpenAI(response.data) };
+    }
+    const translator = createAnthropicStreamTranslator();
+    pipeline(response.data, translator, () => {});
+    return { ...response, data: translator };
+  } catch (error) {
+    if (error.response) {
+      const body = typeof error.response.data?.pipe === 'function' ? await readBody(error.response.data) : error.response.data;
+      error.response.data = translateAnthropicError(body);
+    }
+    throw error;
+  }
+}
+
+// Fetches a model (GET /v1/models/{id}) from a backend speaking the Messages API and returns it in the
+// OpenAI format, whose `created` is in seconds where the Messages API has a `created_at` date
+const getAnthropicModel = async (client, model) => {
+  const response = await client.get(`/v1/models/${model}`);
+  const created = Date.parse(response.data.created_at);
+  return {
+    ...response,
+    data: {
+      id: response.data.id,
+      object: 'model',
+      created: Number.isNaN(created) ? undefined : Math.floor(created / 1000),
+      owned_by: 'anthropic'
+    }
+  }
+}
+
+module.exports = {
+  anthropicHeaders,
+  postAnthropicMessages,
+  getAnthropicModel
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp } = require('./backends');
+
+// Helper function to create an access error answered with an Ollama-style { "error": "..." } body
+const accessError = (status, message, retryAfter) => {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+// Helper function to get the UTC day that daily token quotas are counted for
+const currentDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+// Helper function to hash a key, so keys are compared in constant time whatever their length
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+// Creates the persistent usage state of the inbound API keys: the requests of the last minute and the
+// tokens used today, by key name. The state is written to a JSON file (atomically, through a temporary
+// file) at most once per second, so that limits carry over across restarts.
+const createKeyUsageStore = (file) => {
+  let keys = {};
+  let saveTimer = null;
+
+  if (fs.existsSync(file)) {
+    try {
+      keys = JSON.parse(fs.readFileSync(file, 'utf8')).keys || {};
+    } catch (error) {
+      throw new Error(`Cannot read API key state ${file}: ${error.message}`);
+    }
+  }
+
+  const save = () => {
+    saveTimer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporaryFile = `${file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify({ keys: keys }, null, 2));
+    fs.renameSync(temporaryFile, file);
+  }
+
+  const scheduleSave = () => {
+    if (!saveTimer) {
+      saveTimer = setTimeout(save, 1000);
+      saveTimer.unref();
+    }
+  }
+
+  // Returns the usage of a key, starting a new day's token count when the day has changed
+  const get = (name, now = Date.now()) => {
+    const day = currentDay(now);
+    const usage = keys[name] || { requests: [], day: day, tokens: 0 };
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.tokens = 0;
+    }
+    usage.requests = usage.requests.filter(time => time > now - 60000);
+    keys[name] = usage;
+    return usage;
+  }
+
+  return {
+    get: get,
+    addRequest: (name, now = Date.now()) => {
+      get(name, now).requests.push(now);
+      scheduleSave();
+    },
+    addTokens: (name, tokens, now = Date.now()) => {
+      get(name, now).tokens += tokens;
+      scheduleSave();
+    },
+    flush: () => {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        save();
+      }
+    }
+  }
+}
+
+// Creates the access control for the inbound API keys of a configuration. Each key has a name, the
+// secret clients send as "Authorization: Bearer <key>", and optionally the models it may use (exact
+// names or globs), a requests per minute limit, a tokens per day quota and whether it is an admin key,
+// which may create, copy and delete models. With no keys configured every request is allowed.
+const createAccessControl = (apiKeys, usageStore) => {
+  const keys = apiKeys.map(definition => ({
+    ...definition,
+    hash: hashKey(definition.key),
+    modelPatterns: definition.models ? definition.models.map(globToRegExp) : null
+  }));
+
+  const enabled = keys.length > 0;
+
+  // Finds the key of an Authorization header, throwing a 401 error for a missing or unknown key
+  const authenticate = (authorization) => {
+    const match = /^Bearer\s+(.+)$/i.exec(authorization || '');
+    if (!match) {
+      throw accessError(401, 'unauthorized: an API key is required (Authorization: Bearer <key>)');
+    }
+    const hash = hashKey(match[1].trim());
+    const key = keys.find(candidate => crypto.timingSafeEqual(candidate.hash, hash));
+    if (!key) {
+      throw accessError(401, 'unauthorized: invalid API key');
+    }
+    return key;
+  }
+
+  const allowsModel = (key, model) => !key.modelPatterns || key.modelPatterns.some(pattern => pattern.test(model));
+
+  // Checks that a key may use every one of the models, throwing a 403 error
+  const checkModels = (key, models) => {
+    const denied = models.find(model => !allowsModel(key, model));
+    if (denied !== undefined) {
+      throw accessError(403, `model "${denied}" is not allowed for this API key`);
+    }
+  }
+
+  // Checks the models and the limits of a key and counts the request, throwing a 403 or 429 error. `models`
+  // are the names a request uses; `options.manage` is set for requests that change the models, which need an
+  // admin key, and `options.usesTokens` for requests that run a model, which the token quota stops.
+  const admit = (key, models, options, now = Date.now()) => {
+    if (options.manage && !key.admin) {
+      throw accessError(403, 'managing models needs an admin API key');
+    }
+    checkModels(key, models);
+
+    const usage = usageStore.get(key.name, now);
+    if (options.usesTokens && key.tokensPerDay && usage.tokens >= key.tokensPerDay) {
+      const tomorrow = Date.parse(`${usage.day}T00:00:00Z`) + 86400000;
+      throw accessError(429, `daily token quota of ${key.tokensPerDay} tokens exceeded`, Math.ceil((tomorrow - now) / 1000));
+    }
+    if (key.requestsPerMinute && usage.requests.length >= key.requestsPerMinute) {
+      throw accessError(429, `rate limit of ${key.requestsPerMinute} requests per minute exceeded`, Math.ceil((usage.requests[0] + 60000 - now) / 1000));
+    }
+
+    usageStore.addRequest(key.name, now);
+  }
+
+  return {
+    enabled: enabled,
+    authenticate: authenticate,
+    allowsModel: allowsModel,
+    checkModels: checkModels,
+    admit: admit,
+    recordTokens: (key, tokens) => usageStore.addTokens(key.name, tokens)
+  }
+}
+
+module.exports = {
+  createKeyUsageStore,
+  createAccessControl
+};
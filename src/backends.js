@@ -0,0 +1,146 @@
+const fs = require('fs');
+const axios = require('axios');
+const { anthropicHeaders } = require('./anthropic');
+
+// Protocols a backend can speak: the OpenAI API or Anthropic's Messages API
+const upstreamProtocols = ['openai', 'anthropic'];
+
+// Helper function to normalize a backend URL, defaulting to http:// when no scheme is given
+const normalizeBaseURL = (url) => {
+  const baseURL = /^https?:\/\//.test(url) ? url : `http://${url}`;
+  return baseURL.replace(/\/+$/, '');
+}
+
+// Helper function to convert a glob pattern (* and ?) to a regular expression
+const globToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// Helper function to check whether a model pattern uses glob wildcards
+const isGlob = (pattern) => pattern.includes('*') || pattern.includes('?');
+
+// Helper function to create a backend with its own API client, authenticated the way its protocol wants
+// (a Bearer token for OpenAI, x-api-key for Anthropic). An axios adapter replaces the network, e.g. to
+// record or replay upstream exchanges (see src/cassette.js).
+const createBackend = (definition, adapter) => {
+  if (!definition.url) {
+    throw new Error(`backend "${definition.name || 'unnamed'}" is missing a url`);
+  }
+
+  const models = definition.models || [];
+  const protocol = definition.protocol || 'openai';
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(protocol === 'anthropic' ? anthropicHeaders(definition.apiKey) : {}),
+    ...(definition.headers || {})
+  }
+  if (definition.apiKey && protocol === 'openai') {
+    headers['Authorization'] = `Bearer ${definition.apiKey}`;
+  }
+
+  return {
+    name: definition.name || definition.url,
+    baseURL: normalizeBaseURL(definition.url),
+    prefix: definition.prefix || '',
+    isDefault: !!definition.default,
+    // The API the backend speaks, see upstreamProtocols
+    protocol: protocol,
+    // Where fill-in-the-middle requests go, 'completions' or 'infill' (llama.cpp), when set for this backend
+    fimEndpoint: definition.fimEndpoint,
+    exactModels: models.filter(pattern => !isGlob(pattern)),
+    globModels: models.filter(isGlob).map(globToRegExp),
+    // Concurrency limit (0 means no limit) and queue settings, see src/queue.js
+    limits: {
+      maxConcurrent: definition.maxConcurrent || 0,
+      maxQueue: definition.maxQueue !== undefined ? definition.maxQueue : 100,
+      queueTimeout: definition.queueTimeout || 60000
+    },
+    client: axios.create({
+      baseURL: normalizeBaseURL(definition.url),
+      timeout: definition.timeout || 30000,
+      headers: headers,
+      adapter: adapter
+    })
+  }
+}
+
+// Helper function to read backend definitions from a JSON file (an array or { "backends": [...] })
+const loadBackendDefinitions = (file) => {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const definitions = Array.isArray(content) ? content : content.backends;
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${file} must contain an array of backends or a "backends" array`);
+  }
+  return definitions;
+}
+
+// Creates a router that picks the backend for a model by exact name, then by backend prefix,
+// then by glob pattern, and otherwise falls back to the default backend
+const createBackendRouter = (definitions, defaultDefinition, adapter) => {
+  const backends = definitions.map(definition => createBackend(definition, adapter));
+  const defaultBackend = backends.find(backend => backend.isDefault) || createBackend(defaultDefinition, adapter);
+  if (!backends.includes(defaultBackend)) {
+    backends.push(defaultBackend);
+  }
+
+  // Longest prefix wins when prefixes overlap
+  const prefixed = backends
+    .filter(backend => backend.prefix)
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  const resolve = (model) => {
+    const exact = backends.find(backend => backend.exactModels.includes(model));
+    if (exact) {
+      return { backend: exact, model: model };
+    }
+
+    const byPrefix = prefixed.find(backend => model.startsWith(backend.prefix));
+    if (byPrefix) {
+      return { backend: byPrefix, model: model.substring(byPrefix.prefix.length) };
+    }
+
+    const byGlob = backends.find(backend => backend.globModels.some(regexp => regexp.test(model)));
+    if (byGlob) {
+      return { backend: byGlob, model: model };
+    }
+
+    return { backend: defaultBackend, model: model };
+  }
+
+  // Lists the models of every backend, prefixed so that names from different backends don't collide
+  const listModels = async () => {
+    const results = await Promise.allSettled(backends.map(backend => backend.client.get('/v1/models')));
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === backends.length) {
+      throw failed[0].reason;
+    }
+
+    return results.flatMap((result, index) => {
+      if (result.status === 'rejected') {
+        return [];
+      }
+      const backend = backends[index];
+      return (result.value.data.data || []).map(model => ({
+        ...model,
+        id: `${backend.prefix}${model.id}`,
+        backend: backend.name
+      }));
+    });
+  }
+
+  return {
+    backends: backends,
+    defaultBackend: defaultBackend,
+    resolve: resolve,
+    listModels: listModels
+  }
+}
+
+module.exports = {
+  createBackend,
+  createBackendRouter,
+  loadBackendDefinitions,
+  globToRegExp,
+  upstreamProtocols
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Creates the capture writer, which appends one JSON record per line to a file. When the file would
+// grow past `maxSize` megabytes it is rotated: file becomes file.1, file.1 becomes file.2 and so on,
+// keeping at most `maxFiles` old files. `getSettings` returns the current { file, maxSize, maxFiles },
+// so that a configuration reload can turn capturing on or off.
+const createCaptureWriter = (getSettings) => {
+  const rotate = (settings) => {
+    for (let index = settings.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${settings.file}.${index}`)) {
+        fs.renameSync(`${settings.file}.${index}`, `${settings.file}.${index + 1}`);
+      }
+    }
+    if (settings.maxFiles >= 1) {
+      fs.renameSync(settings.file, `${settings.file}.1`);
+    } else {
+      fs.unlinkSync(settings.file);
+    }
+  }
+
+  const write = (record) => {
+    const settings = getSettings();
+    if (!settings.file) {
+      return;
+    }
+
+    const line = JSON.stringify(record) + '\n';
+    fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+    const size = fs.existsSync(settings.file) ? fs.statSync(settings.file).size : 0;
+    if (size > 0 && size + Buffer.byteLength(line) > settings.maxSize * 1024 * 1024) {
+      rotate(settings);
+    }
+    fs.appendFileSync(settings.file, line);
+  }
+
+  return {
+    isEnabled: () => !!getSettings().file,
+    write: write
+  }
+}
+
+module.exports = {
+  createCaptureWriter
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable, Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const { sleep } = require('./failover');
+
+const { AxiosError, AxiosHeaders } = axios;
+
+// Response headers that describe the original connection rather than the response, not worth recording
+const connectionHeaders = ['connection', 'content-length', 'date', 'keep-alive', 'transfer-encoding'];
+
+// Helper function to parse a JSON request or response body, keeping other bodies as they are
+const parseBody = (body) => {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+}
+
+// Helper function to serialize a body the way it went over the wire
+const formatBody = (body) => (typeof body === 'string' ? body : JSON.stringify(body));
+
+// Helper function to sort object keys recursively, so that equal JSON bodies compare equal
+const normalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, normalize(value[key])]));
+  }
+  return value;
+}
+
+// Helper function to describe an upstream request as it is stored in a cassette
+const describeRequest = (config) => ({
+  method: (config.method || 'get').toUpperCase(),
+  url: config.url,
+  body: parseBody(config.data)
+});
+
+// Helper function to build the key requests are matched by: the method, the path and the normalized body
+const requestKey = (request) => JSON.stringify([request.method, request.url, normalize(request.body === undefined ? null : request.body)]);
+
+// Helper function to fail like axios does for statuses outside validateStatus
+const settle = (config, response) => {
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  const code = response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+  throw new AxiosError(`Request failed with status code ${response.status}`, code, config, null, response);
+}
+
+// Helper function to stream chunks, waiting the recorded delay before each one
+const createTimedStream = (chunks, signal) => {
+  let index = 0;
+  let timer = null;
+  const stream = new Readable({
+    read() {
+      if (timer) {
+        return;
+      }
+      if (index >= chunks.length) {
+        this.push(null);
+        return;
+      }
+      const chunk = chunks[index++];
+      timer = setTimeout(() => {
+        timer = null;
+        this.push(chunk.data);
+      }, chunk.delay || 0);
+    },
+    destroy(error, callback) {
+      clearTimeout(timer);
+      callback(error);
+    }
+  });
+  if (signal) {
+    signal.addEventListener('abort', () => stream.destroy(), { once: true });
+  }
+  return stream;
+}
+
+// Creates the axios response for a recorded or scripted upstream response: { status, headers, delay, body }
+// with the body as JSON or text, or { ..., chunks } with the streamed chunks as [{ delay, data }]. Delays
+// are in milliseconds, the response delay is the time until the headers arrive. Requests for a stream get
+// the chunks at their pace, other requests the whole body at once, and error statuses are thrown as axios
+// errors so that callers can't tell the difference from a real upstream.
+const createMockResponse = async (config, recorded) => {
+  const delay = recorded.delay || 0;
+  if (config.timeout && delay > config.timeout) {
+    await sleep(config.timeout, config.signal);
+    throw new AxiosError(`timeout of ${config.timeout}ms exceeded`, AxiosError.ECONNABORTED, config);
+  }
+  await sleep(delay, config.signal);
+
+  const chunks = recorded.chunks || [{ delay: 0, data: formatBody(recorded.body === undefined ? '' : recorded.body) }];
+  const headers = AxiosHeaders.from({
+    'content-type': recorded.chunks ? 'text/event-stream' : 'application/json',
+    ...(recorded.headers || {})
+  });
+
+  return settle(config, {
+    data: config.responseType === 'stream' ? createTimedStream(chunks, config.signal) : chunks.map(chunk => chunk.data).join(''),
+    status: recorded.status,
+    statusText: '',
+    headers: headers,
+    config: config,
+    request: {}
+  });
+}
+
+// Creates an axios adapter that makes real upstream requests and records every response, including error
+// responses, into a cassette file. Streamed responses are recorded chunk by chunk with the time since the
+// previous chunk, so that a replay has the same pace. The cassette is rewritten (atomically, through a
+// temporary file) after every exchange and starts empty, replacing an earlier recording.
+const createRecordingAdapter = (file) => {
+  const httpAdapter = axios.getAdapter('http');
+  const exchanges = [];
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporaryFile = `${file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify({ version: 1, exchanges: exchanges }, null, 2));
+    fs.renameSync(temporaryFile, file);
+  }
+
+  const record = (config, startedAt, response) => {
+    const headers = Object.fromEntries(Object.entries(AxiosHeaders.from(response.headers).toJSON())
+      .filter(([name]) => !connectionHeaders.includes(name.toLowerCase())));
+    const exchange = {
+      request: describeRequest(config),
+      response: {
+        status: response.status,
+        headers: headers,
+        delay: Date.now() - startedAt
+      }
+    }
+
+    if (typeof response.data?.pipe !== 'function') {
+      exchange.response.body = parseBody(response.data);
+      exchanges.push(exchange);
+      save();
+      return;
+    }
+
+    // The recorder passes the chunks on unchanged, a stream left unfinished is not recorded
+    const chunks = [];
+    const decoder = new StringDecoder('utf8');
+    let previousAt = Date.now();
+    const recorder = new Transform({
+      transform(chunk, encoding, callback) {
+        const now = Date.now();
+        chunks.push({ delay: now - previousAt, data: decoder.write(chunk) });
+        previousAt = now;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        exchange.response.chunks = chunks;
+        exchanges.push(exchange);
+        save();
+        callback();
+      }
+    });
+    pipeline(response.data, recorder, () => {});
+    response.data = recorder;
+  }
+
+  return async (config) => {
+    const startedAt = Date.now();
+    try {
+      const response = await httpAdapter(config);
+      record(config, startedAt, response);
+      return response;
+    } catch (error) {
+      if (error.response && typeof error.response.data?.pipe === 'function') {
+        // Streamed error bodies are read right away, so that they are recorded even when nobody reads them
+        let body = '';
+        for await (const chunk of error.response.data) {
+          body += chunk.toString();
+        }
+        record(config, startedAt, { ...error.response, data: body });
+        error.response.data = Readable.from([body]);
+      } else if (error.response) {
+        record(config, startedAt, error.response);
+      }
+      throw error;
+    }
+  }
+}
+
+// Creates an axios adapter that answers from a cassette instead of the network. Requests are matched by
+// method, path and normalized JSON body; a request recorded several times (e.g. retried after an error)
+// gets the recorded responses in order, then the last one again. Unknown requests get a 404 error.
+const createReplayAdapter = (file) => {
+  let cassette;
+  try {
+    cassette = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read cassette ${file}: ${error.message}`);
+  }
+
+  const responses = new Map();
+  for (const exchange of cassette.exchanges || []) {
+    const key = requestKey(exchange.request);
+    responses.set(key, (responses.get(key) || []).concat([exchange.response]));
+  }
+  const served = new Map();
+
+  return (config) => {
+    const request = describeRequest(config);
+    const key = requestKey(request);
+    const recorded = responses.get(key);
+    if (!recorded) {
+      return createMockResponse(config, {
+        status: 404,
+        body: {
+          error: {
+            message: `no recorded response for ${request.method} ${request.url} with this body in cassette ${file}`,
+            type: 'cassette_miss'
+          }
+        }
+      });
+    }
+
+    const count = served.get(key) || 0;
+    served.set(key, count + 1);
+    return createMockResponse(config, recorded[Math.min(count, recorded.length - 1)]);
+  }
+}
+
+module.exports = {
+  createMockResponse,
+  createRecordingAdapter,
+  createReplayAdapter,
+  parseBody
+};
@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadBackendDefinitions, upstreamProtocols } = require('./backends');
+const { logLevels } = require('./logger');
+const { promptFormatNames } = require('./prompt-formats');
+
+// Built-in defaults, overridden by the config file, then environment variables, then command line flags
+const defaults = {
+  listen: {
+    host: 'localhost',
+    port: 11434
+  },
+  upstream: {
+    url: 'https://api.openai.com:443',
+    apiKey: undefined,
+    timeout: 30000,
+    maxConcurrent: 0,
+    maxQueue: 100,
+    queueTimeout: 60000,
+    protocol: 'openai'
+  },
+  backends: [],
+  apiKeys: [],
+  fallbacks: {},
+  retry: {
+    retries: 2,
+    initialDelay: 500,
+    maxDelay: 10000
+  },
+  circuitBreaker: {
+    failureThreshold: 5,
+    cooldown: 30000
+  },
+  defaultModel: 'gpt-3.5-turbo',
+  aliases: {},
+  virtualModels: {},
+  dataDir: 'data',
+  limits: {
+    maxImageSize: 20
+  },
+  translation: {
+    validateFormat: false,
+    optionsMode: 'lenient',
+    llamaExtensions: true,
+    splitThinkTags: false,
+    legacyStream: false,
+    fimEndpoint: 'completions',
+    promptFormat: 'auto'
+  },
+  logging: {
+    level: 'info',
+    capture: {
+      file: '',
+      maxSize: 10,
+      maxFiles: 5
+    }
+  },
+  mock: {
+    mode: 'off',
+    cassette: '',
+    script: ''
+  },
+  contextWindow: {
+    mode: 'off',
+    size: 0,
+    reserve: 1024,
+    summaryTokens: 256
+  },
+  sessions: {
+    ttl: 1800000,
+    maxSessions: 1000,
+    persist: false
+  }
+};
+
+const optionsModes = ['lenient', 'strict', 'passthrough'];
+
+const mockModes = ['off', 'record', 'replay', 'fake'];
+
+const fimEndpoints = ['completions', 'infill'];
+
+const contextWindowModes = ['off', 'trim', 'summarize'];
+
+// Helper function to check for a plain object
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Helper function to merge configuration layers, skipping undefined values so lower layers show through
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeConfig(base[key], value) : value;
+  }
+  return merged;
+}
+
+// Helper function to read a JSON or YAML config file
+const readConfigFile = (file) => {
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+    const parsed = extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content);
+    return parsed || {};
+  } catch (error) {
+    throw new Error(`Cannot read config file ${file}: ${error.message}`);
+  }
+}
+
+// Helper function to build the configuration layer from environment variables
+const readEnvironment = (env) => {
+  const layer = { listen: {}, upstream: {} };
+
+  // OLLAMA_HOST follows Ollama's own convention of host[:port]
+  if (env.OLLAMA_HOST) {
+    const match = env.OLLAMA_HOST.replace(/^https?:\/\//, '').match(/^(.*?)(?::(\d+))?$/);
+    layer.listen.host = match[1] || undefined;
+    layer.listen.port = match[2] ? Number(match[2]) : undefined;
+  }
+
+  layer.upstream.url = env.OPENAI_BASE_URL;
+  layer.upstream.apiKey = env.OPENAI_API_KEY;
+  layer.upstream.timeout = env.OPENAI_TIMEOUT ? Number(env.OPENAI_TIMEOUT) : undefined;
+
+  return layer;
+}
+
+// Helper function to build the configuration layer from command line flags
+const readArguments = (argv) => {
+  let url;
+  if (argv.openaiHost !== undefined || argv.openaiPort !== undefined) {
+    const host = argv.openaiHost || 'https://api.openai.com';
+    url = `${host.startsWith('http') ? host : `http://${host}`}:${argv.openaiPort || 443}`;
+  }
+
+  return {
+    listen: {
+      host: argv.ollamaHost,
+      port: argv.ollamaPort
+    },
+    upstream: {
+      url: url,
+      apiKey: argv.openaiKey,
+      timeout: argv.openaiTimeout,
+      protocol: argv.upstreamProtocol,
+      maxConcurrent: argv.maxConcurrent,
+      maxQueue: argv.maxQueue,
+      queueTimeout: argv.queueTimeout
+    },
+    backends: argv.backends ? loadBackendDefinitions(argv.backends) : undefined,
+    retry: {
+      retries: argv.retries
+    },
+    defaultModel: argv.defaultModel,
+    dataDir: argv.dataDir,
+    limits: {
+      maxImageSize: argv.maxImageSize
+    },
+    translation: {
+      validateFormat: argv.validateFormat,
+      optionsMode: argv.optionsMode,
+      llamaExtensions: argv.llamaExtensions,
+      splitThinkTags: argv.splitThinkTags,
+      legacyStream: argv.legacyStream,
+      fimEndpoint: argv.fimEndpoint,
+      promptFormat: argv.promptFormat
+    },
+    logging: {
+      level: argv.logLevel,
+      capture: {
+        file: argv.captureFile
+      }
+    },
+    mock: {
+      mode: argv.mock,
+      cassette: argv.cassette,
+      script: argv.fakeScript
+    },
+    contextWindow: {
+      mode: argv.contextWindow,
+      size: argv.contextSize
+    },
+    sessions: {
+      ttl: argv.sessionTtl,
+      maxSessions: argv.maxSessions,
+      persist: argv.persistSessions
+    }
+  }
+}
+
+// Helper function to check the concurrency and queue settings of the upstream or a backend
+const validateQueueLimits = (settings, name) => {
+  const errors = [];
+  const isCount = (value) => value === undefined || (Number.isInteger(value) && value >= 0);
+  if (!isCount(settings.maxConcurrent)) {
+    errors.push(`${name}.maxConcurrent must be a non-negative integer (0 means no limit)`);
+  }
+  if (!isCount(settings.maxQueue)) {
+    errors.push(`${name}.maxQueue must be a non-negative integer`);
+  }
+  if (settings.queueTimeout !== undefined && !(typeof settings.queueTimeout === 'number' && settings.queueTimeout > 0)) {
+    errors.push(`${name}.queueTimeout must be a positive number of milliseconds`);
+  }
+  return errors;
+}
+
+// Helper function to check a configuration, returning a list of human readable problems
+const validateConfig = (config) => {
+  const errors = [];
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  for (const key of Object.keys(config)) {
+    if (!(key in defaults)) {
+      errors.push(`unknown setting "${key}"`);
+    }
+  }
+
+  const sections = ['listen', 'upstream', 'retry', 'circuitBreaker', 'limits', 'translation', 'logging', 'mock', 'contextWindow', 'sessions'].filter(section => !isObject(config[section]));
+  if (sections.length > 0) {
+    return errors.concat(sections.map(section => `${section} must be an object`));
+  }
+
+  if (typeof config.listen.host !== 'string' || !config.listen.host) {
+    errors.push('listen.host must be a non-empty string');
+  }
+  if (!Number.isInteger(config.listen.port) || config.listen.port < 1 || config.listen.port > 65535) {
+    errors.push('listen.port must be an integer between 1 and 65535');
+  }
+
+  if (typeof config.upstream.url !== 'string' || !config.upstream.url) {
+    errors.push('upstream.url must be a non-empty string');
+  }
+  // Replayed and fake upstreams are never called, so they need no key
+  const callsUpstream = config.mock.mode !== 'replay' && config.mock.mode !== 'fake';
+  if (callsUpstream && (typeof config.upstream.apiKey !== 'string' || !config.upstream.apiKey)) {
+    errors.push('upstream.apiKey is required (--openai-key, OPENAI_API_KEY or the config file)');
+  }
+  if (!isPositive(config.upstream.timeout)) {
+    errors.push('upstream.timeout must be a positive number of milliseconds');
+  }
+  if (!upstreamProtocols.includes(config.upstream.protocol)) {
+    errors.push(`upstream.protocol must be one of ${upstreamProtocols.join(', ')}`);
+  }
+  errors.push(...validateQueueLimits(config.upstream, 'upstream'));
+
+  if (!Array.isArray(config.backends)) {
+    errors.push('backends must be an array');
+  } else {
+    config.backends.forEach((backend, index) => {
+      const name = `backends[${index}]`;
+      if (!isObject(backend)) {
+        errors.push(`${name} must be an object`);
+        return;
+      }
+      if (typeof backend.url !== 'string' || !backend.url) {
+        errors.push(`${name}.url must be a non-empty string`);
+      }
+      if (backend.timeout !== undefined && !isPositive(backend.timeout)) {
+        errors.push(`${name}.timeout must be a positive number of milliseconds`);
+      }
+      if (backend.models !== undefined && (!Array.isArray(backend.models) || backend.models.some(model => typeof model !== 'string'))) {
+        errors.push(`${name}.models must be an array of strings`);
+      }
+      if (backend.headers !== undefined && !isObject(backend.headers)) {
+        errors.push(`${name}.headers must be an object`);
+      }
+      if (backend.protocol !== undefined && !upstreamProtocols.includes(backend.protocol)) {
+        errors.push(`${name}.protocol must be one of ${upstreamProtocols.join(', ')}`);
+      }
+      if (backend.fimEndpoint !== undefined && !fimEndpoints.includes(backend.fimEndpoint)) {
+        errors.push(`${name}.fimEndpoint must be one of ${fimEndpoints.join(', ')}`);
+      }
+      errors.push(...validateQueueLimits(backend, name));
+    });
+  }
+
+  if (!Array.isArray(config.apiKeys)) {
+    errors.push('apiKeys must be an array');
+  } else {
+    const names = new Set();
+    config.apiKeys.forEach((apiKey, index) => {
+      const name = `apiKeys[${index}]`;
+      if (!isObject(apiKey)) {
+        errors.push(`${name} must be an object`);
+        return;
+      }
+      if (typeof apiKey.name !== 'string' || !apiKey.name) {
+        errors.push(`${name}.name must be a non-empty string`);
+      } else if (names.has(apiKey.name)) {
+        errors.push(`${name}.name "${apiKey.name}" is used by another key`);
+      }
+      names.add(apiKey.name);
+      if (typeof apiKey.key !== 'string' || !apiKey.key) {
+        errors.push(`${name}.key must be a non-empty string`);
+      }
+      if (apiKey.models !== undefined && (!Array.isArray(apiKey.models) || apiKey.models.some(model => typeof model !== 'string'))) {
+        errors.push(`${name}.models must be an array of strings`);
+      }
+      if (apiKey.admin !== undefined && typeof apiKey.admin !== 'boolean') {
+        errors.push(`${name}.admin must be a boolean`);
+      }
+      for (const limit of ['requestsPerMinute', 'tokensPerDay']) {
+        if (apiKey[limit] !== undefined && (!Number.isInteger(apiKey[limit]) || apiKey[limit] <= 0)) {
+          errors.push(`${name}.${limit} must be a positive integer`);
+        }
+      }
+    });
+  }
+
+  if (!isObject(config.fallbacks) || Object.values(config.fallbacks).some(models => !Array.isArray(models) || models.some(model => typeof model !== 'string'))) {
+    errors.push('fallbacks must map model names to arrays of model names');
+  }
+
+  if (!Number.isInteger(config.retry.retries) || config.retry.retries < 0) {
+    errors.push('retry.retries must be a non-negative integer');
+  }
+  if (!isPositive(config.retry.initialDelay)) {
+    errors.push('retry.initialDelay must be a positive number of milliseconds');
+  }
+  if (!isPositive(config.retry.maxDelay)) {
+    errors.push('retry.maxDelay must be a positive number of milliseconds');
+  }
+
+  if (!Number.isInteger(config.circuitBreaker.failureThreshold) || config.circuitBreaker.failureThreshold < 1) {
+    errors.push('circuitBreaker.failureThreshold must be a positive integer');
+  }
+  if (!isPositive(config.circuitBreaker.cooldown)) {
+    errors.push('circuitBreaker.cooldown must be a positive number of milliseconds');
+  }
+
+  if (typeof config.dataDir !== 'string' || !config.dataDir) {
+    errors.push('dataDir must be a non-empty string');
+  }
+
+  if (typeof config.defaultModel !== 'string' || !config.defaultModel) {
+    errors.push('defaultModel must be a non-empty string');
+  }
+
+  if (!isObject(config.aliases) || Object.values(config.aliases).some(target => typeof target !== 'string')) {
+    errors.push('aliases must map model names to model names');
+  }
+
+  if (!isObject(config.virtualModels)) {
+    errors.push('virtualModels must be an object');
+  } else {
+    for (const [modelName, virtualModel] of Object.entries(config.virtualModels)) {
+      const name = `virtualModels["${modelName}"]`;
+      if (!isObject(virtualModel)) {
+        errors.push(`${name} must be an object`);
+        continue;
+      }
+      if (typeof virtualModel.model !== 'string' || !virtualModel.model) {
+        errors.push(`${name}.model must name the upstream model`);
+      }
+      if (virtualModel.system !== undefined && typeof virtualModel.system !== 'string') {
+        errors.push(`${name}.system must be a string`);
+      }
+      if (virtualModel.options !== undefined && !isObject(virtualModel.options)) {
+        errors.push(`${name}.options must be an object`);
+      }
+      if (virtualModel.promptFormat !== undefined && !promptFormatNames.includes(virtualModel.promptFormat)) {
+        errors.push(`${name}.promptFormat must be one of ${promptFormatNames.join(', ')}`);
+      }
+      if (virtualModel.contextSize !== undefined && (!Number.isInteger(virtualModel.contextSize) || virtualModel.contextSize <= 0)) {
+        errors.push(`${name}.contextSize must be a positive integer`);
+      }
+    }
+  }
+
+  if (!isPositive(config.limits.maxImageSize)) {
+    errors.push('limits.maxImageSize must be a positive number of megabytes');
+  }
+
+  if (!optionsModes.includes(config.translation.optionsMode)) {
+    errors.push(`translation.optionsMode must be one of ${optionsModes.join(', ')}`);
+  }
+  if (!fimEndpoints.includes(config.translation.fimEndpoint)) {
+    errors.push(`translation.fimEndpoint must be one of ${fimEndpoints.join(', ')}`);
+  }
+
+  if (!promptFormatNames.includes(config.translation.promptFormat)) {
+    errors.push(`translation.promptFormat must be one of ${promptFormatNames.join(', ')}`);
+  }
+
+  if (!logLevels.includes(config.logging.level)) {
+    errors.push(`logging.level must be one of ${logLevels.join(', ')}`);
+  }
+  const capture = config.logging.capture;
+  if (!isObject(capture)) {
+    errors.push('logging.capture must be an object');
+  } else {
+    if (typeof capture.file !== 'string') {
+      errors.push('logging.capture.file must be a string (empty to disable capturing)');
+    }
+    if (!isPositive(capture.maxSize)) {
+      errors.push('logging.capture.maxSize must be a positive number of megabytes');
+    }
+    if (!Number.isInteger(capture.maxFiles) || capture.maxFiles < 0) {
+      errors.push('logging.capture.maxFiles must be a non-negative integer');
+    }
+  }
+
+  if (!mockModes.includes(config.mock.mode)) {
+    errors.push(`mock.mode must be one of ${mockModes.join(', ')}`);
+  }
+  if (typeof config.mock.cassette !== 'string' || typeof config.mock.script !== 'string') {
+    errors.push('mock.cassette and mock.script must be file names');
+  } else if ((config.mock.mode === 'record' || config.mock.mode === 'replay') && !config.mock.cassette) {
+    errors.push(`mock.cassette is required in ${config.mock.mode} mode`);
+  }
+
+  if (!contextWindowModes.includes(config.contextWindow.mode)) {
+    errors.push(`contextWindow.mode must be one of ${contextWindowModes.join(', ')}`);
+  }
+  if (!Number.isInteger(config.contextWindow.size) || config.contextWindow.size < 0) {
+    errors.push('contextWindow.size must be a non-negative number of tokens (0 uses only num_ctx)');
+  }
+  if (!Number.isInteger(config.contextWindow.reserve) || config.contextWindow.reserve < 0) {
+    errors.push('contextWindow.reserve must be a non-negative number of tokens');
+  }
+  if (!Number.isInteger(config.contextWindow.summaryTokens) || config.contextWindow.summaryTokens < 1) {
+    errors.push('contextWindow.summaryTokens must be a positive number of tokens');
+  }
+
+  if (!isPositive(config.sessions.ttl)) {
+    errors.push('sessions.ttl must be a positive number of milliseconds');
+  }
+  if (!Number.isInteger(config.sessions.maxSessions) || config.sessions.maxSessions < 0) {
+    errors.push('sessions.maxSessions must be a non-negative integer (0 turns sessions off)');
+  }
+  if (typeof config.sessions.persist !== 'boolean') {
+    errors.push('sessions.persist must be true or false');
+  }
+
+  return errors;
+}
+
+// Loads the configuration from all sources and validates it, throwing an error listing every problem
+const loadConfig = (argv, env = process.env) => {
+  const fileLayer = argv.config ? readConfigFile(argv.config) : {};
+  const config = [fileLayer, readEnvironment(env), readArguments(argv)].reduce(mergeConfig, defaults);
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    const error = new Error(`Invalid configuration${argv.config ? ` in ${argv.config}` : ''}:\n${errors.map(problem => `  - ${problem}`).join('\n')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  return config;
+}
+
+// Reloads the configuration on SIGHUP and whenever the config file changes. Invalid configurations
+// are reported and ignored, so the previous configuration stays active.
+const watchConfig = (argv, onReload, onError) => {
+  const reload = (reason) => {
+    try {
+      onReload(loadConfig(argv), reason);
+    } catch (error) {
+      onError(error, reason);
+    }
+  }
+
+  process.on('SIGHUP', () => reload('SIGHUP'));
+
+  if (argv.config) {
+    fs.watchFile(argv.config, { interval: 1000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        reload('file change');
+      }
+    });
+  }
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig,
+  watchConfig
+};
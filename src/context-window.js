@@ -0,0 +1,109 @@
+// Tokens a chat template adds around every message, roughly
+const messageOverhead = 4;
+
+// Tokens an image takes in the context, roughly; vision models vary a lot
+const imageTokens = 768;
+
+// Characters per token when there is no tokenizer to count them
+const charactersPerToken = 4;
+
+// Helper function to get the text of an OpenAI message: its content, or the text parts of multimodal content,
+// and its tool calls
+const messageText = (message) => {
+  const content = Array.isArray(message.content)
+    ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+    : (message.content || '');
+  return message.tool_calls ? content + JSON.stringify(message.tool_calls) : content;
+}
+
+// Helper function to count the images of an OpenAI message
+const countImages = (message) => (Array.isArray(message.content) ? message.content.filter(part => part.type === 'image_url').length : 0);
+
+// Helper function to write messages as a transcript for the summary request, keeping the most recent
+// characters when the transcript is longer than `maxCharacters`
+const formatTranscript = (messages, maxCharacters) => {
+  const transcript = messages.map(message => `${message.role}: ${messageText(message)}`).join('\n\n');
+  return transcript.length > maxCharacters ? transcript.slice(transcript.length - maxCharacters) : transcript;
+}
+
+// Fits the messages of an OpenAI chat request into `options.budget` tokens (the context size minus the
+// room for the answer), counting the request's `tools` too. The messages are counted with
+// `countTokens(text)`, which returns the tokens of a text from the upstream's tokenizer or null when there
+// is none, in which case they are estimated. One count of the whole conversation sets the tokens per
+// character, so that a single tokenizer call is enough. When the conversation is too long, the oldest
+// turns are dropped: the leading system messages and the last user message with everything after it are
+// always kept, and the kept history starts with a user message so that no tool result or answer loses its
+// question. With `summarize(transcript)`, which returns a summary of the dropped turns' transcript,
+// `summaryTokens` are set aside for the summary and it is added to the system prompt; a failed summary is
+// passed to `onSummaryError` and falls back to dropping the turns. Resolves to { messages, dropped,
+// tokens, tokenizer, summarized }, `tokens` being the count of the messages sent.
+const fitMessages = async (messages, options) => {
+  const texts = messages.map(messageText);
+  const fixedText = options.tools ? JSON.stringify(options.tools) : '';
+  const characters = texts.reduce((total, text) => total + text.length, fixedText.length);
+  const counted = characters > 0 ? await options.countTokens([fixedText, ...texts].join('\n')) : null;
+  const tokensPerCharacter = counted !== null && characters > 0 ? counted / characters : 1 / charactersPerToken;
+  const tokenizer = counted !== null ? 'upstream' : 'estimate';
+
+  const sizes = messages.map((message, index) => Math.ceil(texts[index].length * tokensPerCharacter) + messageOverhead + countImages(message) * imageTokens);
+  const fixedTokens = Math.ceil(fixedText.length * tokensPerCharacter);
+  const total = sizes.reduce((sum, size) => sum + size, fixedTokens);
+  if (total <= options.budget) {
+    return { messages: messages, dropped: [], tokens: total, tokenizer: tokenizer, summarized: false };
+  }
+
+  const firstTurn = messages.findIndex(message => message.role !== 'system');
+  const systemCount = firstTurn === -1 ? messages.length : firstTurn;
+  const lastUser = messages.map(message => message.role).lastIndexOf('user');
+  const keepFrom = lastUser >= systemCount ? lastUser : messages.length - 1;
+  const budget = options.summarize ? options.budget - options.summaryTokens : options.budget;
+
+  let start = systemCount;
+  let tokens = total;
+  while (tokens > budget && start < keepFrom) {
+    tokens -= sizes[start];
+    start++;
+  }
+  while (start < keepFrom && messages[start].role !== 'user') {
+    tokens -= sizes[start];
+    start++;
+  }
+
+  const dropped = messages.slice(systemCount, start);
+  const kept = [...messages.slice(0, systemCount), ...messages.slice(start)];
+  if (!options.summarize || dropped.length === 0) {
+    return { messages: kept, dropped: dropped, tokens: tokens, tokenizer: tokenizer, summarized: false };
+  }
+
+  let summary;
+  try {
+    summary = await options.summarize(formatTranscript(dropped, Math.floor(budget / tokensPerCharacter)));
+  } catch (error) {
+    if (options.onSummaryError) {
+      options.onSummaryError(error);
+    }
+  }
+  if (!summary) {
+    return { messages: kept, dropped: dropped, tokens: tokens, tokenizer: tokenizer, summarized: false };
+  }
+
+  const summaryText = `Summary of the earlier conversation:\n${summary}`;
+  const lastSystem = kept[systemCount - 1];
+  const appendToSystem = !!lastSystem && typeof lastSystem.content === 'string';
+  if (appendToSystem) {
+    kept[systemCount - 1] = { ...lastSystem, content: `${lastSystem.content}\n\n${summaryText}` };
+  } else {
+    kept.unshift({ role: 'system', content: summaryText });
+  }
+  return {
+    messages: kept,
+    dropped: dropped,
+    tokens: tokens + Math.ceil(summaryText.length * tokensPerCharacter) + (appendToSystem ? 0 : messageOverhead),
+    tokenizer: tokenizer,
+    summarized: true
+  }
+}
+
+module.exports = {
+  fitMessages
+};
@@ -0,0 +1,194 @@
+// Upstream statuses worth retrying: rate limited, bad gateway, temporarily unavailable and overloaded
+// (Anthropic's 529)
+const retryableStatuses = [429, 502, 503, 529];
+
+// Connection level errors worth retrying
+const retryableCodes = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// Helper function to check whether an upstream error may succeed when tried again
+const isRetryable = (error) => (error.response ? retryableStatuses.includes(error.response.status) : retryableCodes.includes(error.code));
+
+// Helper function to read a Retry-After header (seconds or an HTTP date) as milliseconds
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return Math.round(Number(value) * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// Helper function to compute the exponential backoff before a retry, with jitter so that clients
+// retrying at the same time spread out (between half and all of the exponential delay)
+const backoffDelay = (attempt, retry) => {
+  const delay = Math.min(retry.maxDelay, retry.initialDelay * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Helper function to wait before a retry, giving up as soon as the request is cancelled
+const sleep = (milliseconds, signal) => new Promise((resolve, reject) => {
+  const cancelled = () => {
+    const error = new Error('canceled');
+    error.code = 'ERR_CANCELED';
+    return error;
+  }
+  if (signal && signal.aborted) {
+    reject(cancelled());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(cancelled());
+  }
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    resolve();
+  }, milliseconds);
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
+
+// Helper function to discard the unread body of a failed streaming request
+const discardResponse = (error) => {
+  if (error.response && typeof error.response.data?.destroy === 'function') {
+    error.response.data.destroy();
+  }
+}
+
+// Creates a circuit breaker that tracks consecutive failures per backend. After `failureThreshold`
+// failures in a row the backend is skipped for `cooldown` milliseconds, then a single request is let
+// through again: success closes the circuit, another failure opens it for a new cooldown.
+const createCircuitBreaker = () => {
+  const states = new Map();
+
+  const getState = (name) => {
+    if (!states.has(name)) {
+      states.set(name, { failures: 0, openUntil: 0, probing: false });
+    }
+    return states.get(name);
+  }
+
+  const allowRequest = (name, now = Date.now()) => {
+    const state = getState(name);
+    if (state.openUntil === 0) {
+      return true;
+    }
+    if (now < state.openUntil || state.probing) {
+      return false;
+    }
+    state.probing = true;
+    return true;
+  }
+
+  const recordSuccess = (name) => {
+    states.set(name, { failures: 0, openUntil: 0, probing: false });
+  }
+
+  // Returns true when this failure opened the circuit
+  const recordFailure = (name, options, now = Date.now()) => {
+    const state = getState(name);
+    state.failures++;
+    const wasProbing = state.probing;
+    state.probing = false;
+    if (wasProbing || state.failures >= options.failureThreshold) {
+      state.openUntil = now + options.cooldown;
+      return true;
+    }
+    return false;
+  }
+
+  // Lets the next request probe again when a probe ended without telling whether the backend is healthy,
+  // e.g. when it was cancelled or rejected before reaching the upstream
+  const releaseProbe = (name) => {
+    getState(name).probing = false;
+  }
+
+  const isOpen = (name, now = Date.now()) => getState(name).openUntil > now;
+
+  return {
+    allowRequest: allowRequest,
+    recordSuccess: recordSuccess,
+    recordFailure: recordFailure,
+    releaseProbe: releaseProbe,
+    isOpen: isOpen
+  }
+}
+
+// Sends a request to the first healthy candidate, retrying retryable failures with backoff and then
+// failing over to the next candidate. Candidates are { backend, model } pairs tried in order, `send`
+// performs one attempt against a candidate. The last upstream error is thrown when every candidate
+// failed, and a 503 error when every candidate was skipped by the circuit breaker.
+const sendWithFailover = async (candidates, send, options) => {
+  const { retry, circuitBreaker, breaker, signal } = options;
+  const onEvent = options.onEvent || (() => {});
+  let lastError = null;
+
+  for (const [index, candidate] of candidates.entries()) {
+    const name = candidate.backend.name;
+    if (!breaker.allowRequest(name)) {
+      onEvent('skipped', { backend: name, model: candidate.model });
+      continue;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await send(candidate);
+        breaker.recordSuccess(name);
+        return response;
+      } catch (error) {
+        if (error.code === 'ERR_CANCELED' || !isRetryable(error)) {
+          // The upstream answered, so it is healthy even if it rejected the request
+          if (error.response) {
+            breaker.recordSuccess(name);
+          } else {
+            breaker.releaseProbe(name);
+          }
+          throw error;
+        }
+
+        lastError = error;
+        if (breaker.recordFailure(name, circuitBreaker)) {
+          onEvent('circuit_open', { backend: name, model: candidate.model, cooldown: circuitBreaker.cooldown });
+          break;
+        }
+
+        // Retry-After longer than the longest backoff means this backend won't help soon
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        if (attempt >= retry.retries || (retryAfter !== null && retryAfter > retry.maxDelay)) {
+          break;
+        }
+
+        const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, retry);
+        discardResponse(error);
+        onEvent('retry', { backend: name, model: candidate.model, attempt: attempt + 1, delay: delay, reason: error.response ? `status ${error.response.status}` : error.code });
+        await sleep(delay, signal);
+      }
+    }
+
+    if (index < candidates.length - 1) {
+      discardResponse(lastError);
+      onEvent('failover', { backend: name, model: candidate.model, next: candidates[index + 1].backend.name });
+    }
+  }
+
+  if (lastError) {
+    throw lastError;
+  }
+
+  const error = new Error(`no upstream available for model "${candidates[0].model}": every backend is cooling down after repeated failures`);
+  error.status = 503;
+  throw error;
+}
+
+module.exports = {
+  createCircuitBreaker,
+  sendWithFailover,
+  isRetryable,
+  parseRetryAfter,
+  sleep
+};
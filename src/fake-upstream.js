@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { globToRegExp } = require('./backends');
+const { createMockResponse, parseBody } = require('./cassette');
+
+// Rules tried after the rules of a script, so that model names alone can pick a behaviour
+const builtInRules = [
+  { model: '*error*', reply: { error: { status: 500, message: 'simulated upstream error' } } },
+  { model: '*tool*', reply: { toolCalls: 'auto' } },
+  { model: '*think*', reply: { reasoning: 'Let me think about that.' } },
+  { model: '*slow*', reply: { chunkDelay: 500 } },
+  { model: '*', reply: {} }
+];
+
+// Helper function to read the rules of a JSON or YAML script, a list of rules or { "rules": [...] }
+const loadScript = (file) => {
+  let rules;
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const extension = path.extname(file).toLowerCase();
+    const script = extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content);
+    rules = Array.isArray(script) ? script : script?.rules;
+  } catch (error) {
+    throw new Error(`Cannot read fake upstream script ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(rules) || rules.some(rule => rule === null || typeof rule !== 'object' || typeof rule.reply !== 'object')) {
+    throw new Error(`Fake upstream script ${file} must contain a list of rules, each with a reply`);
+  }
+  return rules;
+}
+
+// Helper function to get the text of the last user message of a chat request, or the prompt of a completion
+const lastUserText = (request) => {
+  if (!request.messages) {
+    return request.prompt || request.input_prefix || '';
+  }
+  const message = (request.messages || []).filter(candidate => candidate.role === 'user').pop();
+  if (!message) {
+    return '';
+  }
+  if (Array.isArray(message.content)) {
+    return message.content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return message.content || '';
+}
+
+// Helper function to estimate the tokens of a text the way people do, four characters per token
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+// Helper function to build the tool calls of a reply, 'auto' calls the first tool of the request without arguments
+const buildToolCalls = (reply, request) => {
+  if (!reply.toolCalls) {
+    return [];
+  }
+  const calls = reply.toolCalls === 'auto'
+    ? [{ name: request.tools?.[0]?.function?.name || request.tools?.[0]?.name || 'fake_tool', arguments: {} }]
+    : reply.toolCalls;
+  return calls.map((call, index) => ({
+    id: `call_${index}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+    }
+  }));
+}
+
+// Helper function to split a text into chunks of a given number of characters
+const splitText = (text, size) => {
+  const pieces = [];
+  for (let index = 0; index < text.length; index += size) {
+    pieces.push(text.substring(index, index + size));
+  }
+  return pieces;
+}
+
+// Helper function to answer a chat completion request with a scripted reply, streamed or not
+const replyToChat = (request, reply) => {
+  const created = Math.floor(Date.now() / 1000);
+  const toolCalls = buildToolCalls(reply, request);
+  const content = reply.content !== undefined ? reply.content : (toolCalls.length > 0 ? '' : `You said: ${lastUserText(request)}`);
+  const reasoning = reply.reasoning || '';
+  const finishReason = reply.finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop');
+  const usage = {
+    prompt_tokens: estimateTokens(JSON.stringify(request.messages || [])),
+    completion_tokens: estimateTokens(content + reasoning)
+  }
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+  if (!request.stream) {
+    const message = { role: 'assistant', content: content || (toolCalls.length > 0 ? null : '') };
+    if (reasoning) {
+      message.reasoning_content = reasoning;
+    }
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+    return {
+      status: 200,
+      delay: reply.delay,
+      body: {
+        id: 'chatcmpl-fake',
+        object: 'chat.completion',
+        created: created,
+        model: request.model,
+        choices: [{ index: 0, message: message, finish_reason: finishReason }],
+        usage: usage
+      }
+    }
+  }
+
+  const chunkSize = reply.chunkSize || 8;
+  const chunkDelay = reply.chunkDelay !== undefined ? reply.chunkDelay : 10;
+  const event = (data) => ({ delay: chunkDelay, data: `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n` });
+  const delta = (fields, finish) => event({
+    id: 'chatcmpl-fake',
+    object: 'chat.completion.chunk',
+    created: created,
+    model: request.model,
+    choices: [{ index: 0, delta: fields, finish_reason: finish || null }]
+  });
+
+  const chunks = [{ ...delta({ role: 'assistant', content: '' }), delay: 0 }];
+  splitText(reasoning, chunkSize).forEach(piece => chunks.push(delta({ reasoning_content: piece })));
+  splitText(content, chunkSize).forEach(piece => chunks.push(delta({ content: piece })));
+  toolCalls.forEach((call, index) => chunks.push(delta({ tool_calls: [{ index: index, ...call }] })));
+
+  // A mid-stream error ends the stream without a finish reason, like llama.cpp running out of context
+  if (reply.streamError) {
+    chunks.push(event({ error: { message: reply.streamError, type: 'server_error' } }));
+    return { status: 200, delay: reply.delay, chunks: chunks };
+  }
+
+  chunks.push(delta({}, finishReason));
+  if (request.stream_options?.include_usage) {
+    chunks.push(event({ id: 'chatcmpl-fake', object: 'chat.completion.chunk', created: created, model: request.model, choices: [], usage: usage }));
+  }
+  chunks.push(event('[DONE]'));
+  return { status: 200, delay: reply.delay, chunks: chunks };
+}
+
+// Helper function to answer an Anthropic Messages API request with a scripted reply, streamed as typed
+// events (message_start, content_block_*, message_delta, message_stop) or not
+const replyToMessages = (request, reply) => {
+  const toolCalls = buildToolCalls(reply, request);
+  const content = reply.content !== undefined ? reply.content : (toolCalls.length > 0 ? '' : `You said: ${lastUserText(request)}`);
+  const reasoning = reply.reasoning || '';
+  const finishReason = reply.finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop');
+  const stopReason = { length: 'max_tokens', tool_calls: 'tool_use' }[finishReason] || 'end_turn';
+  const usage = {
+    input_tokens: estimateTokens((request.system || '') + JSON.stringify(request.messages || [])),
+    output_tokens: estimateTokens(content + reasoning)
+  }
+  const blocks = [
+    ...(reasoning ? [{ type: 'thinking', thinking: reasoning, signature: 'fake' }] : []),
+    ...(content ? [{ type: 'text', text: content }] : []),
+    ...toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.function.name, input: JSON.parse(call.function.arguments) }))
+  ];
+
+  if (!request.stream) {
+    return {
+      status: 200,
+      delay: reply.delay,
+      body: { id: 'msg_fake', type: 'message', role: 'assistant', model: request.model, content: blocks, stop_reason: stopReason, stop_sequence: null, usage: usage }
+    }
+  }
+
+  const chunkSize = reply.chunkSize || 8;
+  const chunkDelay = reply.chunkDelay !== undefined ? reply.chunkDelay : 10;
+  const event = (data) => ({ delay: chunkDelay, data: `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n` });
+
+  const chunks = [{ ...event({ type: 'message_start', message: { id: 'msg_fake', type: 'message', role: 'assistant', model: request.model, content: [], usage: { input_tokens: usage.input_tokens, output_tokens: 1 } } }), delay: 0 }];
+  blocks.forEach((block, index) => {
+    if (block.type === 'tool_use') {
+      chunks.push(event({ type: 'content_block_start', index: index, content_block: { ...block, input: {} } }));
+      chunks.push(event({ type: 'content_block_delta', index: index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } }));
+    } else {
+      const field = block.type === 'thinking' ? 'thinking' : 'text';
+      chunks.push(event({ type: 'content_block_start', index: index, content_block: { type: block.type, [field]: '' } }));
+      splitText(block[field], chunkSize).forEach(piece => chunks.push(event({ type: 'content_block_delta', index: index, delta: { type: `${field}_delta`, [field]: piece } })));
+    }
+    chunks.push(event({ type: 'content_block_stop', index: index }));
+  });
+
+  if (reply.streamError) {
+    chunks.push(event({ type: 'error', error: { type: 'api_error', message: reply.streamError } }));
+    return { status: 200, delay: reply.delay, chunks: chunks };
+  }
+  chunks.push(event({ type: 'message_delta', delta: { stop_reason: stopReason, stop_sequence: null }, usage: { output_tokens: usage.output_tokens } }));
+  chunks.push(event({ type: 'message_stop' }));
+  return { status: 200, delay: reply.delay, chunks: chunks };
+}
+
+// Helper function to answer a completion request in the /v1/completions format, or in llama.cpp's /infill
+// format ({ content, stop } chunks without a [DONE] line)
+const replyToCompletion = (request, reply, infill) => {
+  const created = Math.floor(Date.now() / 1000);
+  const content = reply.content !== undefined ? reply.content : `You said: ${lastUserText(request)}`;
+  const finishReason = reply.finishReason || 'stop';
+  const usage = {
+    prompt_tokens: estimateTokens((request.prompt || request.input_prefix || '') + (request.suffix || request.input_suffix || '')),
+    completion_tokens: estimateTokens(content)
+  }
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+  const timings = { prompt_n: usage.prompt_tokens, prompt_ms: 1, predicted_n: usage.completion_tokens, predicted_ms: 1 };
+
+  const chunk = (text, finish) => (infill
+    ? { content: text, stop: !!finish, ...(finish ? { stop_type: finish === 'length' ? 'limit' : 'eos', timings: timings } : {}) }
+    : { id: 'cmpl-fake', object: 'text_completion', created: created, model: request.model, choices: [{ index: 0, text: text, finish_reason: finish || null }] });
+
+  if (!request.stream) {
+    return {
+      status: 200,
+      delay: reply.delay,
+      body: infill ? { ...chunk(content, finishReason), model: request.model } : { ...chunk(content, finishReason), usage: usage }
+    }
+  }
+
+  const chunkSize = reply.chunkSize || 8;
+  const chunkDelay = reply.chunkDelay !== undefined ? reply.chunkDelay : 10;
+  const event = (data) => ({ delay: chunkDelay, data: `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n` });
+
+  const chunks = splitText(content, chunkSize).map(piece => event(chunk(piece)));
+  if (reply.streamError) {
+    chunks.push(event({ error: { message: reply.streamError, type: 'server_error' } }));
+    return { status: 200, delay: reply.delay, chunks: chunks };
+  }
+  chunks.push(event(chunk('', finishReason)));
+  if (!infill) {
+    if (request.stream_options?.include_usage) {
+      chunks.push(event({ id: 'cmpl-fake', object: 'text_completion', created: created, model: request.model, choices: [], usage: usage }));
+    }
+    chunks.push(event('[DONE]'));
+  }
+  return { status: 200, delay: reply.delay, chunks: chunks };
+}
+
+// Helper function to compute a deterministic embedding of a text, so that equal inputs get equal vectors
+const embedText = (text, dimensions) => {
+  const vector = [];
+  for (let index = 0; vector.length < dimensions; index++) {
+    for (const byte of crypto.createHash('sha256').update(`${index}:${text}`).digest()) {
+      if (vector.length < dimensions) {
+        vector.push(byte / 127.5 - 1);
+      }
+    }
+  }
+  return vector;
+}
+
+// Helper function to answer an embeddings request
+const replyToEmbeddings = (request) => {
+  const inputs = Array.isArray(request.input) ? request.input : [request.input || ''];
+  return {
+    status: 200,
+    body: {
+      object: 'list',
+      model: request.model,
+      data: inputs.map((input, index) => ({ object: 'embedding', index: index, embedding: embedText(String(input), request.dimensions || 8) })),
+      usage: {
+        prompt_tokens: inputs.reduce((total, input) => total + estimateTokens(String(input)), 0),
+        total_tokens: inputs.reduce((total, input) => total + estimateTokens(String(input)), 0)
+      }
+    }
+  }
+}
+
+// Helper function to answer with an OpenAI-style error body
+const errorReply = (status, message, extra = {}) => ({
+  status: status,
+  delay: extra.delay,
+  headers: extra.retryAfter !== undefined ? { 'retry-after': String(extra.retryAfter) } : undefined,
+  body: {
+    error: {
+      message: message,
+      type: extra.type || (status >= 500 ? 'server_error' : 'invalid_request_error')
+    }
+  }
+});
+
+// Creates an axios adapter that plays a scripted OpenAI-compatible upstream, for testing without a model
+// server. Chat requests (/v1/chat/completions and Anthropic's /v1/messages) and completion requests
+// (/v1/completions and llama.cpp's /infill) get the reply of the first rule whose model glob and prompt
+// text (a substring of the last user message or the prompt) match; a reply can set the content, reasoning,
+// tool calls, finish reason, an error status, a mid-stream error and the pace of the response. Without a
+// matching rule, models named *error*, *tool*, *think* and *slow* show that behaviour and anything else
+// echoes the last user message or the prompt. llama.cpp's /tokenize counts four characters per token.
+// Every model can be looked up, in the Messages API's shape for requests with an anthropic-version header.
+const createFakeUpstreamAdapter = (scriptFile) => {
+  const createdAt = new Date();
+  const rules = (scriptFile ? loadScript(scriptFile) : []).concat(builtInRules).map(rule => ({
+    ...rule,
+    modelPattern: globToRegExp(rule.model || '*')
+  }));
+
+  const findReply = (request) => {
+    const text = lastUserText(request);
+    const rule = rules.find(candidate => candidate.modelPattern.test(request.model || '') && (!candidate.prompt || text.includes(candidate.prompt)));
+    return rule.reply;
+  }
+
+  return (config) => {
+    const request = parseBody(config.data) || {};
+    const route = `${(config.method || 'get').toUpperCase()} ${config.url}`;
+
+    if (route === 'GET /v1/models') {
+      const models = ['fake', ...rules.map(rule => rule.model).filter(model => model && !model.includes('*') && !model.includes('?'))];
+      return createMockResponse(config, {
+        status: 200,
+        body: { object: 'list', data: Array.from(new Set(models)).map(id => ({ id: id, object: 'model', owned_by: 'fake' })) }
+      });
+    }
+    if (route.startsWith('GET /v1/models/')) {
+      const id = decodeURIComponent(config.url.slice('/v1/models/'.length));
+      const body = config.headers?.['anthropic-version']
+        ? { type: 'model', id: id, display_name: id, created_at: createdAt.toISOString() }
+        : { id: id, object: 'model', created: Math.floor(createdAt.getTime() / 1000), owned_by: 'fake' };
+      return createMockResponse(config, { status: 200, body: body });
+    }
+    if (route === 'POST /v1/embeddings') {
+      return createMockResponse(config, replyToEmbeddings(request));
+    }
+    if (route === 'POST /tokenize') {
+      // Like llama.cpp, with made-up token IDs
+      const count = estimateTokens(String(request.content || ''));
+      return createMockResponse(config, { status: 200, body: { tokens: Array.from({ length: count }, (value, index) => index) } });
+    }
+    if (!['POST /v1/chat/completions', 'POST /v1/messages', 'POST /v1/completions', 'POST /infill'].includes(route)) {
+      return createMockResponse(config, errorReply(404, `the fake upstream does not serve ${route}`));
+    }
+
+    const reply = findReply(request);
+    if (reply.error) {
+      const response = errorReply(reply.error.status || 500, reply.error.message || 'simulated upstream error', { ...reply.error, delay: reply.delay });
+      // Anthropic wraps the same error in { type: 'error', error }
+      return createMockResponse(config, route === 'POST /v1/messages' ? { ...response, body: { type: 'error', ...response.body } } : response);
+    }
+    if (route === 'POST /v1/chat/completions') {
+      return createMockResponse(config, replyToChat(request, reply));
+    }
+    if (route === 'POST /v1/messages') {
+      return createMockResponse(config, replyToMessages(request, reply));
+    }
+    return createMockResponse(config, replyToCompletion(request, reply, route === 'POST /infill'));
+  }
+}
+
+module.exports = {
+  createFakeUpstreamAdapter
+};
@@ -0,0 +1,67 @@
+// Log levels, from the most to the least important
+const levels = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+// Fields whose values never reach the logs
+const secretFields = ['authorization', 'apikey', 'api_key', 'key', 'password', 'secret'];
+
+// Helper function to describe an image instead of logging its data
+const describeImage = (image) => `[image, ${String(image).length} characters]`;
+
+// Helper function to copy a value for logging with secrets and image data replaced
+const redact = (value, field) => {
+  if (typeof value === 'string') {
+    return value.startsWith('data:image/') ? describeImage(value) : value;
+  }
+  if (Array.isArray(value)) {
+    // Ollama sends images as a list of base64 strings
+    return field === 'images' ? value.map(describeImage) : value.map(item => redact(item));
+  }
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    for (const [name, item] of Object.entries(value)) {
+      copy[name] = secretFields.includes(name.toLowerCase()) ? '[redacted]' : redact(item, name);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Creates a logger writing one JSON object per line: the time, the level, the message, the logger's
+// fields (e.g. the request ID) and the redacted details. Errors and warnings go to stderr, the rest to
+// stdout. `getLevel` returns the current level, so that a configuration reload can change it.
+const createLogger = (getLevel, fields = {}) => {
+  const write = (level, message, details = {}) => {
+    if (levels[level] > levels[getLevel()]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level: level,
+      msg: message,
+      ...fields,
+      ...redact(details)
+    }
+    const stream = levels[level] <= levels.warn ? process.stderr : process.stdout;
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  return {
+    error: (message, details) => write('error', message, details),
+    warn: (message, details) => write('warn', message, details),
+    info: (message, details) => write('info', message, details),
+    debug: (message, details) => write('debug', message, details),
+    // Creates a logger that adds fields to every entry
+    child: (childFields) => createLogger(getLevel, { ...fields, ...childFields })
+  }
+}
+
+module.exports = {
+  createLogger,
+  redact,
+  logLevels: Object.keys(levels)
+};
@@ -0,0 +1,108 @@
+// Histogram buckets in seconds, wide enough for slow generations
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Helper function to build the key of a metric series from its name and labels
+const seriesKey = (name, labels) => `${name}${JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))}`;
+
+// Helper function to render labels in the Prometheus text format
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+// Creates the in-process metrics registry. Counters only grow, gauges hold the latest value and
+// histograms count observed values (e.g. durations in seconds) per bucket, all per name and label set.
+const createMetrics = () => {
+  const descriptions = new Map();
+  const counters = new Map();
+  const gauges = new Map();
+  const histograms = new Map();
+
+  // Sets the help text shown for a metric
+  const describe = (name, help) => {
+    descriptions.set(name, help);
+  }
+
+  const increment = (name, labels = {}, value = 1) => {
+    const key = seriesKey(name, labels);
+    const series = counters.get(key) || { name: name, labels: labels, value: 0 };
+    series.value += value;
+    counters.set(key, series);
+  }
+
+  const setGauge = (name, labels = {}, value) => {
+    gauges.set(seriesKey(name, labels), { name: name, labels: labels, value: value });
+  }
+
+  const addGauge = (name, labels = {}, value) => {
+    const key = seriesKey(name, labels);
+    const series = gauges.get(key) || { name: name, labels: labels, value: 0 };
+    series.value += value;
+    gauges.set(key, series);
+  }
+
+  const observe = (name, labels = {}, value, buckets = defaultBuckets) => {
+    const key = seriesKey(name, labels);
+    const series = histograms.get(key) || { name: name, labels: labels, buckets: buckets, counts: buckets.map(() => 0), count: 0, sum: 0 };
+    series.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.count++;
+    series.sum += value;
+    histograms.set(key, series);
+  }
+
+  // Renders every series in the Prometheus text exposition format
+  const render = () => {
+    const groups = new Map();
+    const addToGroup = (type, series) => {
+      if (!groups.has(series.name)) {
+        groups.set(series.name, { type: type, series: [] });
+      }
+      groups.get(series.name).series.push(series);
+    }
+    counters.forEach(series => addToGroup('counter', series));
+    gauges.forEach(series => addToGroup('gauge', series));
+    histograms.forEach(series => addToGroup('histogram', series));
+
+    const lines = [];
+    for (const [name, group] of groups) {
+      if (descriptions.has(name)) {
+        lines.push(`# HELP ${name} ${descriptions.get(name)}`);
+      }
+      lines.push(`# TYPE ${name} ${group.type}`);
+      for (const series of group.series) {
+        if (group.type !== 'histogram') {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          continue;
+        }
+        series.buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    describe: describe,
+    increment: increment,
+    setGauge: setGauge,
+    addGauge: addGauge,
+    observe: observe,
+    render: render
+  }
+}
+
+module.exports = {
+  createMetrics
+};
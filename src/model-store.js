@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helper function to give a model name Ollama's default tag when it has none
+const normalizeModelName = (name) => (name.includes(':') ? name : `${name}:latest`);
+
+// Creates the persistent registry of models made with /api/create and /api/copy. Models are kept in
+// memory and written to a JSON file (atomically, through a temporary file) after every change.
+const createModelStore = (file) => {
+  let models = {};
+
+  if (fs.existsSync(file)) {
+    try {
+      models = JSON.parse(fs.readFileSync(file, 'utf8')).models || {};
+    } catch (error) {
+      throw new Error(`Cannot read model store ${file}: ${error.message}`);
+    }
+  }
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporaryFile = `${file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify({ models: models }, null, 2));
+    fs.renameSync(temporaryFile, file);
+  }
+
+  // Helper function to find the stored name of a model, accepting names with and without the tag
+  const find = (name) => {
+    if (models[name]) {
+      return name;
+    }
+    return models[normalizeModelName(name)] ? normalizeModelName(name) : null;
+  }
+
+  return {
+    all: () => models,
+    get: (name) => {
+      const storedName = find(name);
+      return storedName ? models[storedName] : null;
+    },
+    set: (name, definition) => {
+      models[normalizeModelName(name)] = {
+        ...definition,
+        modified_at: new Date().toISOString()
+      }
+      save();
+    },
+    remove: (name) => {
+      const storedName = find(name);
+      if (!storedName) {
+        return false;
+      }
+      delete models[storedName];
+      save();
+      return true;
+    }
+  }
+}
+
+module.exports = {
+  createModelStore,
+  normalizeModelName
+};
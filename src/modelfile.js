@@ -0,0 +1,144 @@
+// Roles accepted by the MESSAGE command
+const messageRoles = ['system', 'user', 'assistant', 'tool'];
+
+// Helper function to create a Modelfile error reported to the client as a 400 response
+const modelfileError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Helper function to convert a PARAMETER value to the type Ollama uses for it
+const parseParameterValue = (value) => {
+  const unquoted = value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+  if (unquoted !== value) {
+    return unquoted;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (value !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Helper function to strip the quotes around a single line argument
+const unquote = (value) => (value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value);
+
+// Parses the supported subset of the Modelfile format (FROM, SYSTEM, PARAMETER, TEMPLATE, MESSAGE)
+const parseModelfile = (text) => {
+  const modelfile = { from: null, system: undefined, template: undefined, parameters: {}, messages: [] };
+  const lines = text.split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const match = line.match(/^(\S+)\s*([\s\S]*)$/);
+    const command = match[1].toUpperCase();
+    let argument = match[2];
+    let tripleQuoted = false;
+
+    // Triple quoted arguments may span several lines
+    if (argument.startsWith('"""') || (command === 'MESSAGE' && /^\S+\s+"""/.test(argument))) {
+      const start = argument.indexOf('"""');
+      let value = argument.substring(start + 3);
+      while (!value.includes('"""')) {
+        index++;
+        if (index >= lines.length) {
+          throw modelfileError(`unterminated """ in ${command}`);
+        }
+        value += '\n' + lines[index];
+      }
+      argument = argument.substring(0, start) + value.substring(0, value.indexOf('"""'));
+      tripleQuoted = true;
+    } else {
+      argument = argument.trim();
+    }
+
+    switch (command) {
+      case 'FROM':
+        modelfile.from = unquote(argument.trim());
+        break;
+      case 'SYSTEM':
+        modelfile.system = tripleQuoted ? argument : unquote(argument);
+        break;
+      case 'TEMPLATE':
+        modelfile.template = tripleQuoted ? argument : unquote(argument);
+        break;
+      case 'PARAMETER': {
+        const parameter = argument.match(/^(\S+)\s+([\s\S]+)$/);
+        if (!parameter) {
+          throw modelfileError(`invalid PARAMETER: ${argument}`);
+        }
+        const [, name, value] = parameter;
+        const parsed = parseParameterValue(value.trim());
+        // stop may be given several times and is always a list
+        if (name === 'stop') {
+          modelfile.parameters.stop = [...(modelfile.parameters.stop || []), String(parsed)];
+        } else {
+          modelfile.parameters[name] = parsed;
+        }
+        break;
+      }
+      case 'MESSAGE': {
+        const message = argument.match(/^(\S+)\s+([\s\S]*)$/);
+        if (!message || !messageRoles.includes(message[1])) {
+          throw modelfileError(`invalid MESSAGE, the role must be one of ${messageRoles.join(', ')}`);
+        }
+        modelfile.messages.push({ role: message[1], content: tripleQuoted ? message[2] : unquote(message[2].trim()) });
+        break;
+      }
+      case 'ADAPTER':
+      case 'LICENSE':
+        throw modelfileError(`${command} is not supported by this server`);
+      default:
+        throw modelfileError(`unknown command: ${match[1]}`);
+    }
+  }
+
+  if (!modelfile.from) {
+    throw modelfileError('no FROM line for the model was specified');
+  }
+
+  return modelfile;
+}
+
+// Helper function to quote a Modelfile argument, using triple quotes for multi-line values
+const quote = (value) => (value.includes('\n') || value.includes('"') ? `"""${value}"""` : `"${value}"`);
+
+// Renders a virtual model definition back into a Modelfile, as shown by the show endpoint
+const formatModelfile = (name, definition) => {
+  const lines = [`# Modelfile generated by "ollama show"`, `# To build a new Modelfile based on this, replace FROM with:`, `# FROM ${name}`, '', `FROM ${definition.model}`];
+
+  if (definition.template) {
+    lines.push(`TEMPLATE ${quote(definition.template)}`);
+  }
+  if (definition.system) {
+    lines.push(`SYSTEM ${quote(definition.system)}`);
+  }
+
+  const options = { ...(definition.options || {}) };
+  if (definition.contextSize) {
+    options.num_ctx = definition.contextSize;
+  }
+  for (const [parameter, value] of Object.entries(options)) {
+    for (const item of Array.isArray(value) ? value : [value]) {
+      lines.push(`PARAMETER ${parameter} ${typeof item === 'string' ? JSON.stringify(item) : item}`);
+    }
+  }
+
+  for (const message of definition.messages || []) {
+    lines.push(`MESSAGE ${message.role} ${quote(message.content)}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  parseModelfile,
+  formatModelfile
+};
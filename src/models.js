@@ -0,0 +1,149 @@
+const { canRenderTemplate } = require('./prompt-template');
+
+// Helper function to find a model definition by name, treating "name" and "name:latest" as the same model
+const findByName = (definitions, name) => {
+  if (definitions[name] !== undefined) {
+    return { name: name, definition: definitions[name] };
+  }
+
+  const alternative = name.endsWith(':latest') ? name.slice(0, -':latest'.length) : (name.includes(':') ? null : `${name}:latest`);
+  if (alternative && definitions[alternative] !== undefined) {
+    return { name: alternative, definition: definitions[alternative] };
+  }
+
+  return null;
+}
+
+// Helper function to render options the way Ollama shows model parameters (one "name value" per line)
+const formatParameters = (options) => {
+  return Object.entries(options)
+    .flatMap(([name, value]) => (Array.isArray(value) ? value : [value]).map(item => `${name} ${typeof item === 'string' ? JSON.stringify(item) : item}`))
+    .join('\n');
+}
+
+// Creates the model catalog for a configuration: the default model for empty names, aliases and
+// virtual models, which bundle an upstream model with a system prompt, default options and a context size.
+// Virtual models come from the configuration and from the model store, where stored models win.
+const createModelCatalog = (config, modelStore) => {
+  const aliases = config.aliases || {};
+  const getVirtualModels = () => ({ ...(config.virtualModels || {}), ...(modelStore ? modelStore.all() : {}) });
+
+  // Resolves a requested model name to the upstream model name and the virtual model it goes through, if any
+  const resolve = (requested) => {
+    let name = requested || config.defaultModel;
+
+    const alias = findByName(aliases, name);
+    if (alias) {
+      name = alias.definition;
+    }
+
+    const virtual = findByName(getVirtualModels(), name);
+    if (!virtual) {
+      return { model: name, virtualModel: null };
+    }
+
+    // A virtual model may point at an alias, but not at another virtual model
+    const target = findByName(aliases, virtual.definition.model);
+    return {
+      model: target ? target.definition : virtual.definition.model,
+      virtualModel: { name: virtual.name, ...virtual.definition }
+    }
+  }
+
+  // Applies a virtual model's system prompt, prompt template and default options to an Ollama request
+  const applyToRequest = (request) => {
+    const { model, virtualModel } = resolve(request.model);
+    const resolved = { ...request, model: model };
+    if (!virtualModel) {
+      return resolved;
+    }
+
+    resolved.options = {
+      ...(virtualModel.options || {}),
+      ...(virtualModel.contextSize ? { num_ctx: virtualModel.contextSize } : {}),
+      ...(request.options || {})
+    }
+
+    // A generate request is rendered with the model's template when the proxy can render it, unless it
+    // brings its own template, is raw, or has images or a conversation context, which only chat supports
+    const usesTemplate = !Array.isArray(request.messages) && !!virtualModel.template && canRenderTemplate(virtualModel.template)
+      && !request.template && !request.raw && !(request.images && request.images.length > 0)
+      && !(Array.isArray(request.context) && request.context.length > 0);
+    if (usesTemplate) {
+      resolved.template = virtualModel.template;
+    }
+
+    if (Array.isArray(request.messages)) {
+      // Conversation: system prompt first, then the model's example messages, then the request's messages
+      const systemMessages = request.messages.filter(message => message.role === 'system');
+      const otherMessages = request.messages.filter(message => message.role !== 'system');
+      if (systemMessages.length === 0 && virtualModel.system) {
+        systemMessages.push({ role: 'system', content: virtualModel.system });
+      }
+      resolved.messages = [...systemMessages, ...(virtualModel.messages || []), ...otherMessages];
+    } else if (!usesTemplate && virtualModel.messages && virtualModel.messages.length > 0 && request.prompt !== undefined) {
+      // Generate with example messages becomes a conversation ending in the prompt
+      const system = request.system || virtualModel.system;
+      resolved.messages = [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...virtualModel.messages,
+        { role: 'user', content: request.prompt, images: request.images }
+      ];
+      delete resolved.images;
+    } else if (!request.system && virtualModel.system && !request.raw) {
+      // Raw prompts go out as they are, without the model's system prompt or template
+      resolved.system = virtualModel.system;
+    }
+
+    return resolved;
+  }
+
+  // Lists the aliases and virtual models so that they can be shown next to the upstream models
+  const list = () => {
+    const aliasEntries = Object.entries(aliases).map(([name, target]) => ({ name: name, target: target, kind: 'alias' }));
+    const virtualEntries = Object.entries(getVirtualModels()).map(([name, definition]) => ({
+      name: name,
+      target: definition.model,
+      kind: 'virtual',
+      modified_at: definition.modified_at
+    }));
+    return [...aliasEntries, ...virtualEntries];
+  }
+
+  // Describes an alias or virtual model the way Ollama's show endpoint describes a model
+  const describe = (requested) => {
+    const { model, virtualModel } = resolve(requested);
+    const description = {
+      model: model,
+      parameters: '',
+      system: '',
+      template: '',
+      virtualModel: virtualModel
+    }
+
+    if (virtualModel) {
+      const options = {
+        ...(virtualModel.options || {}),
+        ...(virtualModel.contextSize ? { num_ctx: virtualModel.contextSize } : {})
+      }
+      description.parameters = formatParameters(options);
+      description.system = virtualModel.system || '';
+      description.template = virtualModel.template || '';
+      description.contextSize = virtualModel.contextSize;
+    }
+
+    return description;
+  }
+
+  return {
+    resolve: resolve,
+    applyToRequest: applyToRequest,
+    list: list,
+    describe: describe
+  }
+}
+
+module.exports = {
+  createModelCatalog,
+  formatParameters
+};
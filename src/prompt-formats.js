@@ -0,0 +1,155 @@
+// Roles the formats' own role names stand for
+const roleNames = {
+  system: 'system',
+  user: 'user',
+  assistant: 'assistant',
+  model: 'assistant',
+  tool: 'tool',
+  ipython: 'tool'
+};
+
+// Helper function to build a message from a format's role name and text, or null for unknown roles
+const toMessage = (role, text) => (roleNames[role] ? { role: roleNames[role], content: text.trim() } : null);
+
+// Helper function to escape a text for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to parse the formats that open every turn with a start token and the role name and close
+// it with an end token, e.g. ChatML's <|im_start|>user\n...<|im_end|>. A turn left open (the generation
+// prompt or an unfinished assistant answer) runs to the end of the prompt.
+const parseTurns = (prompt, start, roleEnd, end) => {
+  const pattern = new RegExp(`${escapeRegExp(start)}\\s*(\\w+)${roleEnd}([\\s\\S]*?)(?=${escapeRegExp(end)}|${escapeRegExp(start)}|$)`, 'g');
+  return Array.from(prompt.matchAll(pattern), match => toMessage(match[1].toLowerCase(), match[2]));
+}
+
+// Helper function to parse Mistral's [INST] ... [/INST] prompts. The text after [/INST] is the assistant's
+// answer; [SYSTEM_PROMPT], [TOOL_RESULTS] and Llama 2's <<SYS>> block in the first [INST] are understood.
+const parseMistral = (prompt) => {
+  const messages = [];
+  const pattern = /\[(\/?)(INST|SYSTEM_PROMPT|TOOL_RESULTS)\]/g;
+  const text = prompt.replace(/<\/?s>/g, '');
+  let role = null;
+  let position = 0;
+  let match;
+  const addText = (end) => {
+    const content = text.slice(position, end);
+    if (role === 'user') {
+      // Llama 2 puts the system prompt into the first instruction
+      const system = /^\s*<<SYS>>([\s\S]*?)<<\/SYS>>/.exec(content);
+      if (system) {
+        messages.push(toMessage('system', system[1]));
+        messages.push(toMessage('user', content.slice(system[0].length)));
+        return;
+      }
+    }
+    if (role) {
+      messages.push(toMessage(role, content));
+    }
+  }
+
+  while ((match = pattern.exec(text)) !== null) {
+    addText(match.index);
+    const closing = match[1] === '/';
+    const tag = match[2];
+    if (tag === 'INST') {
+      role = closing ? 'assistant' : 'user';
+    } else if (tag === 'SYSTEM_PROMPT') {
+      role = closing ? null : 'system';
+    } else {
+      role = closing ? null : 'tool';
+    }
+    position = pattern.lastIndex;
+  }
+  addText(text.length);
+  return messages;
+}
+
+// Helper function to parse Alpaca prompts: an optional preamble (the system prompt), then "### Instruction:",
+// "### Input:" (added to the instruction) and "### Response:" blocks
+const parseAlpaca = (prompt) => {
+  const messages = [];
+  const blocks = prompt.split(/^###\s*(System|Instruction|Input|Response):[ \t]*\n?/m);
+  if (blocks[0].trim()) {
+    messages.push(toMessage('system', blocks[0]));
+  }
+  for (let index = 1; index < blocks.length; index += 2) {
+    const header = blocks[index];
+    const content = blocks[index + 1];
+    const previous = messages[messages.length - 1];
+    if (header === 'Input' && previous && previous.role === 'user') {
+      previous.content = `${previous.content}\n\n${content.trim()}`.trim();
+    } else {
+      messages.push(toMessage({ System: 'system', Instruction: 'user', Input: 'user', Response: 'assistant' }[header], content));
+    }
+  }
+  return messages;
+}
+
+// Helper function to parse the proxy's own tag format, <user>...</user> and <assistant>...</assistant>
+// (also <system> and <tool>), where a closing tag is optional and text outside the tags is ignored
+const parseTags = (prompt) => Array.from(
+  prompt.matchAll(/<(system|user|assistant|tool)>([\s\S]*?)(?=<\/\1>|<(?:system|user|assistant|tool)>|$)/g),
+  match => toMessage(match[1], match[2])
+);
+
+// The prompt formats pre-rendered prompts are recognized in, tried in this order by auto-detection. Each has
+// a `detect` test and a `parse` function turning the prompt into { role, content } messages; supporting
+// another format takes another entry.
+const promptFormats = [
+  {
+    name: 'chatml',
+    detect: (prompt) => prompt.includes('<|im_start|>'),
+    parse: (prompt) => parseTurns(prompt, '<|im_start|>', '[ \\t]*\\n?', '<|im_end|>')
+  },
+  {
+    name: 'llama3',
+    detect: (prompt) => prompt.includes('<|start_header_id|>'),
+    parse: (prompt) => parseTurns(prompt.replace(/<\|begin_of_text\|>/g, ''), '<|start_header_id|>', '<\\|end_header_id\\|>', '<|eot_id|>')
+  },
+  {
+    name: 'gemma',
+    detect: (prompt) => prompt.includes('<start_of_turn>'),
+    parse: (prompt) => parseTurns(prompt.replace(/<bos>/g, ''), '<start_of_turn>', '[ \\t]*\\n?', '<end_of_turn>')
+  },
+  {
+    name: 'mistral',
+    detect: (prompt) => prompt.includes('[INST]'),
+    parse: parseMistral
+  },
+  {
+    name: 'alpaca',
+    detect: (prompt) => /^###\s*(Instruction|Response):/m.test(prompt),
+    parse: parseAlpaca
+  },
+  {
+    name: 'tags',
+    // A prompt that merely mentions a tag is no conversation, so a tag has to start a line
+    detect: (prompt) => /^\s*<(system|user|assistant)>/m.test(prompt),
+    parse: parseTags
+  }
+];
+
+// Names of the prompt format settings: auto-detection, no parsing at all, or a format
+const promptFormatNames = ['auto', 'none', ...promptFormats.map(format => format.name)];
+
+// Turns a pre-rendered prompt into messages, in the given format or the auto-detected one. Empty turns
+// (like the open assistant turn a prompt ends with) are dropped. Returns null for a plain prompt: with
+// 'none', when no format is detected or when the format finds no turns.
+const parsePrompt = (prompt, formatName = 'auto') => {
+  if (typeof prompt !== 'string' || formatName === 'none') {
+    return null;
+  }
+  const format = formatName === 'auto'
+    ? promptFormats.find(candidate => candidate.detect(prompt))
+    : promptFormats.find(candidate => candidate.name === formatName);
+  if (!format) {
+    return null;
+  }
+  const messages = format.parse(prompt).filter(message => message && message.content);
+  return messages.length > 0 ? messages : null;
+}
+
+module.exports = {
+  parsePrompt,
+  promptFormatNames
+};
@@ -0,0 +1,108 @@
+// Helper function to create a template error answered with a 400 response
+const templateError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Helper function to split a template into text and {{ action }} tokens, applying the {{- and -}} whitespace trimming
+const tokenize = (template) => {
+  const tokens = [];
+  const pattern = /\{\{(-?)\s*([\s\S]*?)\s*(-?)\}\}/g;
+  let position = 0;
+  let match;
+  while ((match = pattern.exec(template)) !== null) {
+    tokens.push({ type: 'text', value: template.slice(position, match.index) });
+    tokens.push({ type: 'action', value: match[2], trimBefore: match[1] === '-', trimAfter: match[3] === '-' });
+    position = pattern.lastIndex;
+  }
+  tokens.push({ type: 'text', value: template.slice(position) });
+
+  tokens.forEach((token, index) => {
+    if (token.trimBefore) {
+      tokens[index - 1].value = tokens[index - 1].value.trimEnd();
+    }
+    if (token.trimAfter) {
+      tokens[index + 1].value = tokens[index + 1].value.trimStart();
+    }
+  });
+  return tokens;
+}
+
+// Renders the prompt of an Ollama (Go text/template) prompt template with the values of a generate request,
+// e.g. { System, Prompt, Suffix }. The supported subset covers prompt and fill-in-the-middle templates:
+// {{ .Field }}, {{ if .Field }} ... {{ else if .Field }} ... {{ else }} ... {{ end }} and comments. Like
+// Ollama, rendering stops at {{ .Response }}, where the model's answer goes. Anything else, such as ranges
+// over .Messages, is rejected with a 400 error.
+const renderTemplate = (template, values) => {
+  let output = '';
+  // One entry per open if: whether its current branch is rendered and whether a branch was taken already
+  const conditions = [];
+  const isRendering = () => conditions.every(condition => condition.active);
+
+  const fieldValue = (field, action) => {
+    if (!(field in values)) {
+      throw templateError(`unsupported template field .${field} in "{{ ${action} }}"`);
+    }
+    return values[field];
+  }
+
+  for (const token of tokenize(template)) {
+    if (token.type === 'text') {
+      output += isRendering() ? token.value : '';
+      continue;
+    }
+
+    const action = token.value;
+    let match;
+    if (action.startsWith('/*')) {
+      continue;
+    } else if ((match = /^if\s+\.(\w+)$/.exec(action)) !== null) {
+      const value = !!fieldValue(match[1], action);
+      conditions.push({ active: value, taken: value });
+    } else if ((match = /^else\s+if\s+\.(\w+)$/.exec(action)) !== null || action === 'else') {
+      const condition = conditions[conditions.length - 1];
+      if (!condition) {
+        throw templateError(`"{{ ${action} }}" without an if in the template`);
+      }
+      const value = match ? !!fieldValue(match[1], action) : true;
+      condition.active = !condition.taken && value;
+      condition.taken = condition.taken || value;
+    } else if (action === 'end') {
+      if (!conditions.pop()) {
+        throw templateError('"{{ end }}" without an if in the template');
+      }
+    } else if (action === '.Response') {
+      if (isRendering()) {
+        return output;
+      }
+    } else if ((match = /^\.(\w+)$/.exec(action)) !== null) {
+      const value = fieldValue(match[1], action);
+      output += isRendering() ? String(value ?? '') : '';
+    } else {
+      throw templateError(`unsupported template action "{{ ${action} }}", only fields, if/else and end are supported`);
+    }
+  }
+
+  if (conditions.length > 0) {
+    throw templateError('unclosed if in the template');
+  }
+  return output;
+}
+
+// Checks whether a template is within the subset renderTemplate supports, with and without a system
+// prompt and suffix, so that templates written for chat (ranges over .Messages, .Tools) can go elsewhere
+const canRenderTemplate = (template) => {
+  try {
+    renderTemplate(template, { System: '', Prompt: '', Suffix: '', Response: '' });
+    renderTemplate(template, { System: ' ', Prompt: ' ', Suffix: ' ', Response: '' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  renderTemplate,
+  canRenderTemplate
+};
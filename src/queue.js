@@ -0,0 +1,136 @@
+// Named priorities accepted in the X-Priority header, higher values are served first
+const namedPriorities = {
+  low: -1,
+  normal: 0,
+  high: 1
+};
+
+// Helper function to read a request priority (a name or an integer), defaulting to normal
+const parsePriority = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return namedPriorities.normal;
+  }
+  const name = String(value).trim().toLowerCase();
+  if (namedPriorities[name] !== undefined) {
+    return namedPriorities[name];
+  }
+  if (/^-?\d+$/.test(name)) {
+    return Number(name);
+  }
+  const error = new Error(`invalid priority "${value}", use low, normal, high or an integer`);
+  error.status = 400;
+  throw error;
+}
+
+// Helper function to create a queue error reported to the client as a 503 response
+const queueError = (message) => {
+  const error = new Error(message);
+  error.status = 503;
+  return error;
+}
+
+// Creates the request queue of one upstream. At most `maxConcurrent` requests run at once (0 means no
+// limit), the rest wait in priority order and first come, first served within a priority. Requests are
+// rejected when `maxQueue` requests are already waiting or after waiting `queueTimeout` milliseconds.
+// `onChange` is called with the queue statistics whenever a request starts, finishes or leaves the queue.
+const createRequestQueue = (limits, onChange = () => {}) => {
+  let current = limits;
+  let active = 0;
+  const waiting = [];
+
+  const stats = () => ({
+    active: active,
+    queued: waiting.length,
+    maxConcurrent: current.maxConcurrent,
+    maxQueue: current.maxQueue
+  });
+
+  const hasFreeSlot = () => current.maxConcurrent === 0 || active < current.maxConcurrent;
+
+  const start = () => {
+    active++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active--;
+      dispatch();
+      onChange(stats());
+    }
+  }
+
+  const dispatch = () => {
+    while (waiting.length > 0 && hasFreeSlot()) {
+      waiting.shift().run();
+    }
+  }
+
+  // Waits for a free slot, resolving to { release, waited } where release must be called once the
+  // upstream is done with the request and waited is the time spent in the queue in milliseconds
+  const acquire = (priority = 0, signal) => new Promise((resolve, reject) => {
+    const enqueuedAt = Date.now();
+    if (hasFreeSlot() && waiting.length === 0) {
+      const release = start();
+      onChange(stats());
+      resolve({ release: release, waited: 0 });
+      return;
+    }
+    if (waiting.length >= current.maxQueue) {
+      reject(queueError('server busy, please try again.  maximum pending requests exceeded'));
+      return;
+    }
+
+    const leave = (error) => {
+      clearTimeout(entry.timer);
+      waiting.splice(waiting.indexOf(entry), 1);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      onChange(stats());
+      reject(error);
+    }
+    const onAbort = () => {
+      const error = new Error('canceled');
+      error.code = 'ERR_CANCELED';
+      leave(error);
+    }
+
+    const entry = {
+      priority: priority,
+      timer: setTimeout(() => leave(queueError(`server busy, timed out after ${current.queueTimeout} ms waiting for a free slot`)), current.queueTimeout),
+      run: () => {
+        clearTimeout(entry.timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve({ release: start(), waited: Date.now() - enqueuedAt });
+      }
+    }
+
+    // Behind every request of the same or a higher priority
+    const position = waiting.findIndex(other => other.priority < priority);
+    waiting.splice(position === -1 ? waiting.length : position, 0, entry);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    onChange(stats());
+  });
+
+  // Applies new limits after a configuration reload, starting waiting requests if there is room now
+  const configure = (limits) => {
+    current = limits;
+    dispatch();
+    onChange(stats());
+  }
+
+  return {
+    acquire: acquire,
+    configure: configure,
+    stats: stats
+  }
+}
+
+module.exports = {
+  createRequestQueue,
+  parsePriority
+};
@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// First number of the context arrays made by the proxy ("OLLA" in ASCII), so foreign contexts are recognized
+const contextMarker = 0x4f4c4c41;
+
+// Helper function to check for an unsigned 32 bit integer, the numbers a context array is made of
+const isUint32 = (value) => Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+
+// Helper function to read the session ID and message count of a context array, or null when the proxy didn't make it
+const decodeContext = (context) => {
+  if (!Array.isArray(context) || context.length !== 6 || context[0] !== contextMarker || !context.every(isUint32)) {
+    return null;
+  }
+  return {
+    id: context.slice(1, 5).map(part => part.toString(16).padStart(8, '0')).join(''),
+    messageCount: context[5]
+  }
+}
+
+// Helper function to build the context array of a session: the marker, the session ID and the message count
+const encodeContext = (id, messageCount) => [
+  contextMarker,
+  ...[0, 8, 16, 24].map(offset => parseInt(id.substring(offset, offset + 8), 16)),
+  messageCount
+];
+
+// Creates the store of /api/generate conversations. Ollama clients continue a conversation by sending back
+// the context array of the previous response; the proxy's context arrays are opaque tokens naming a session
+// and the number of messages it had, so the conversation is rebuilt from the session's messages (an older
+// context continues from its own turn, dropping the turns after it). `getSettings` returns the current
+// { ttl, maxSessions, persist }: sessions expire `ttl` milliseconds after their last turn, the least
+// recently used are dropped beyond `maxSessions` (0 turns sessions off) and with `persist` they are written
+// to a JSON file (atomically, through a temporary file) at most once per second.
+const createSessionStore = (file, getSettings) => {
+  // By session ID in least recently used order, each { system, messages, updatedAt }
+  const sessions = new Map();
+  let saveTimer = null;
+
+  if (getSettings().persist && fs.existsSync(file)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8')).sessions || {};
+      for (const [id, session] of Object.entries(stored)) {
+        sessions.set(id, session);
+      }
+    } catch (error) {
+      throw new Error(`Cannot read sessions ${file}: ${error.message}`);
+    }
+  }
+
+  const writeFile = () => {
+    saveTimer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporaryFile = `${file}.tmp`;
+    fs.writeFileSync(temporaryFile, JSON.stringify({ sessions: Object.fromEntries(sessions) }, null, 2));
+    fs.renameSync(temporaryFile, file);
+  }
+
+  const scheduleSave = () => {
+    if (getSettings().persist && !saveTimer) {
+      saveTimer = setTimeout(writeFile, 1000);
+      saveTimer.unref();
+    }
+  }
+
+  // Drops expired sessions, then the least recently used ones while there are too many
+  const prune = (now) => {
+    const settings = getSettings();
+    for (const [id, session] of sessions) {
+      if (session.updatedAt + settings.ttl <= now) {
+        sessions.delete(id);
+      }
+    }
+    while (sessions.size > settings.maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  // Returns the { id, system, messages } of the conversation a context continues, or null when the context
+  // is empty, was not made by the proxy or its session has expired
+  const restore = (context, now = Date.now()) => {
+    const decoded = decodeContext(context);
+    if (!decoded) {
+      return null;
+    }
+    prune(now);
+    const session = sessions.get(decoded.id);
+    if (!session || decoded.messageCount > session.messages.length) {
+      return null;
+    }
+    return {
+      id: decoded.id,
+      system: session.system,
+      messages: session.messages.slice(0, decoded.messageCount)
+    }
+  }
+
+  // Stores the messages of a conversation, continuing the session of a restored conversation or starting a
+  // new one, and returns the context array for the response ([] while sessions are off)
+  const save = (restored, system, messages, now = Date.now()) => {
+    if (getSettings().maxSessions === 0) {
+      return [];
+    }
+    const id = restored ? restored.id : crypto.randomBytes(16).toString('hex');
+    sessions.delete(id);
+    sessions.set(id, { system: system, messages: messages, updatedAt: now });
+    prune(now);
+    scheduleSave();
+    return sessions.has(id) ? encodeContext(id, messages.length) : [];
+  }
+
+  return {
+    restore: restore,
+    save: save,
+    size: () => sessions.size,
+    flush: () => {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        writeFile();
+      }
+    }
+  }
+}
+
+module.exports = {
+  createSessionStore
+};
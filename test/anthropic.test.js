@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { postAnthropicMessages } = require('../src/anthropic');
+const { startServer } = require('./helpers/server');
+
+// Helper function to create a client that records the request and answers with `data`
+const stubClient = (data) => {
+  const requests = [];
+  const client = {
+    post: async (url, body) => {
+      requests.push({ url: url, body: body });
+      return { status: 200, headers: {}, data: typeof data === 'function' ? data() : data };
+    }
+  }
+  return { client, requests };
+}
+
+// Helper function to read a stream to the end
+const readAll = async (stream) => {
+  let text = '';
+  for await (const data of stream) {
+    text += data.toString();
+  }
+  return text;
+}
+
+// Helper function to write Messages API events the way they go over the wire
+const sse = (events) => events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+
+test('chat completion requests are mapped to Messages API requests', async () => {
+  const { client, requests } = stubClient({
+    id: 'msg_1',
+    model: 'claude-test',
+    content: [{ type: 'text', text: 'It is sunny.' }],
+    stop_reason: 'end_turn',
+    usage: { input_tokens: 10, output_tokens: 4 }
+  });
+
+  const response = await postAnthropicMessages(client, {
+    model: 'claude-test',
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: [{ type: 'text', text: 'Weather here?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+      { role: 'tool', tool_call_id: 'toolu_1', content: 'sunny' },
+      { role: 'user', content: 'Thanks' }
+    ],
+    tools: [{ type: 'function', function: { name: 'get_weather', description: 'Get the weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }],
+    tool_choice: 'required',
+    temperature: 0.5,
+    stop: 'END',
+    stream: false
+  }, {});
+
+  assert.strictEqual(requests[0].url, '/v1/messages');
+  const body = requests[0].body;
+  assert.strictEqual(body.system, 'Be brief.');
+  assert.strictEqual(body.max_tokens, 4096);
+  assert.strictEqual(body.temperature, 0.5);
+  assert.deepStrictEqual(body.stop_sequences, ['END']);
+  assert.deepStrictEqual(body.tool_choice, { type: 'any' });
+  assert.deepStrictEqual(body.tools, [{ name: 'get_weather', description: 'Get the weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }]);
+  assert.deepStrictEqual(body.messages, [
+    { role: 'user', content: [{ type: 'text', text: 'Weather here?' }, { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }] },
+    { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+    // The tool result and the next user message are merged into one user turn
+    { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'sunny' }, { type: 'text', text: 'Thanks' }] }
+  ]);
+
+  assert.deepStrictEqual(response.data.choices, [{ index: 0, message: { role: 'assistant', content: 'It is sunny.' }, finish_reason: 'stop' }]);
+  assert.deepStrictEqual(response.data.usage, { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 });
+});
+
+test('think levels turn on extended thinking', async () => {
+  const { client, requests } = stubClient({ content: [], usage: {} });
+  await postAnthropicMessages(client, { model: 'claude-test', messages: [{ role: 'user', content: 'hi' }], reasoning_effort: 'low', max_tokens: 100, temperature: 0.5 }, {});
+  assert.deepStrictEqual(requests[0].body.thinking, { type: 'enabled', budget_tokens: 1024 });
+  assert.strictEqual(requests[0].body.max_tokens, 1124);
+  assert.strictEqual(requests[0].body.temperature, undefined);
+});
+
+test('streamed events are translated to chat completion chunks', async () => {
+  const events = sse([
+    { type: 'message_start', message: { id: 'msg_1', model: 'claude-test', usage: { input_tokens: 10, output_tokens: 1 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'Hmm.' } },
+    { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+    { type: 'ping' },
+    { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hello' } },
+    { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+    { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+    { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '"Paris"}' } },
+    { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } },
+    { type: 'message_stop' }
+  ]);
+  // Events split at arbitrary points, as they may arrive
+  const { client } = stubClient(() => Readable.from([events.slice(0, 50), events.slice(50, 333), events.slice(333)]));
+
+  const response = await postAnthropicMessages(client, { model: 'claude-test', messages: [{ role: 'user', content: 'hi' }], stream: true }, { responseType: 'stream' });
+  const output = await readAll(response.data);
+  const payloads = output.split('\n\n').filter(Boolean).map(line => line.replace(/^data: /, ''));
+  assert.strictEqual(payloads.pop(), '[DONE]');
+  const chunks = payloads.map(payload => JSON.parse(payload));
+
+  assert.deepStrictEqual(chunks.map(chunk => chunk.choices[0]?.delta), [
+    { role: 'assistant', content: '' },
+    { reasoning_content: 'Hmm.' },
+    { content: 'Hello' },
+    { tool_calls: [{ index: 0, id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '' } }] },
+    { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] },
+    { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] },
+    {},
+    undefined
+  ]);
+  assert.strictEqual(chunks[6].choices[0].finish_reason, 'tool_calls');
+  assert.deepStrictEqual(chunks[7].usage, { prompt_tokens: 10, completion_tokens: 12, total_tokens: 22 });
+  assert.ok(chunks.every(chunk => chunk.id === 'msg_1' && chunk.model === 'claude-test'));
+});
+
+test('error bodies are translated to OpenAI error bodies', async () => {
+  const client = {
+    post: async () => {
+      const error = new Error('Request failed with status code 529');
+      error.response = { status: 529, data: Readable.from([JSON.stringify({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } })]) };
+      throw error;
+    }
+  }
+  await assert.rejects(
+    postAnthropicMessages(client, { model: 'claude-test', messages: [{ role: 'user', content: 'hi' }], stream: true }, { responseType: 'stream' }),
+    (error) => error.response.data.error.type === 'overloaded_error' && error.response.data.error.message === 'Overloaded'
+  );
+});
+
+test('Ollama requests stream through an Anthropic upstream as NDJSON', async (t) => {
+  const server = await startServer({ upstream: { protocol: 'anthropic' } });
+  t.after(() => server.stop());
+
+  await t.test('chat', async () => {
+    const response = await server.request('POST', '/api/chat', {
+      model: 'claude-fake',
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'hello' }]
+    });
+    assert.strictEqual(response.status, 200);
+    const lines = response.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.map(line => line.message.content).join(''), 'You said: hello');
+    assert.strictEqual(lines[lines.length - 1].done, true);
+    assert.strictEqual(lines[lines.length - 1].done_reason, 'stop');
+    assert.ok(lines[lines.length - 1].eval_count > 0);
+  });
+
+  await t.test('generate', async () => {
+    const response = await server.request('POST', '/api/generate', { model: 'claude-fake', prompt: 'hello' });
+    assert.strictEqual(response.status, 200);
+    const lines = response.body.trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(lines.map(line => line.response).join(''), 'You said: hello');
+    assert.strictEqual(lines[lines.length - 1].done, true);
+  });
+
+  await t.test('tool calls', async () => {
+    const response = await server.request('POST', '/api/chat', {
+      model: 'claude-tool',
+      messages: [{ role: 'user', content: 'weather?' }],
+      tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: {} } } }]
+    });
+    assert.strictEqual(response.status, 200);
+    const lines = response.body.trim().split('\n').map(line => JSON.parse(line));
+    const calls = lines.flatMap(line => line.message.tool_calls || []);
+    assert.deepStrictEqual(calls.map(call => call.function.name), ['get_weather']);
+  });
+
+  await t.test('raw generate requests are rejected', async () => {
+    const response = await server.request('POST', '/api/generate', { model: 'claude-fake', prompt: 'hello', raw: true, stream: false });
+    assert.strictEqual(response.status, 400);
+  });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+const chat = (model) => ({
+  ...(model === undefined ? {} : { model: model }),
+  messages: [{ role: 'user', content: 'hello' }],
+  stream: false
+});
+
+test('API keys', async (t) => {
+  const server = await startServer({
+    defaultModel: 'gpt-3.5-turbo',
+    apiKeys: [
+      { name: 'limited', key: 'limited-key', models: ['claude*'] },
+      { name: 'quota', key: 'quota-key', tokensPerDay: 1 }
+    ]
+  });
+  t.after(() => server.stop());
+  const limited = { Authorization: 'Bearer limited-key' };
+  const quota = { Authorization: 'Bearer quota-key' };
+
+  await t.test('a request without a model is checked against the default model', async () => {
+    assert.strictEqual((await server.request('POST', '/api/chat', chat('claude-x'), limited)).status, 200);
+    const response = await server.request('POST', '/api/chat', chat(), limited);
+    assert.strictEqual(response.status, 403);
+    assert.match(response.body.error, /gpt-3\.5-turbo/);
+  });
+
+  await t.test('a used up token quota stops requests with and without a model', async () => {
+    assert.strictEqual((await server.request('POST', '/api/chat', chat('fake'), quota)).status, 200);
+    assert.strictEqual((await server.request('POST', '/api/chat', chat('fake'), quota)).status, 429);
+    assert.strictEqual((await server.request('POST', '/api/chat', chat(), quota)).status, 429);
+    assert.strictEqual((await server.request('POST', '/api/generate', { prompt: 'hi', stream: false }, quota)).status, 429);
+    // Listing models stays possible
+    assert.strictEqual((await server.request('GET', '/api/tags', undefined, quota)).status, 200);
+  });
+
+  await t.test('model management needs an admin key', async () => {
+    const response = await server.request('POST', '/api/create', { model: 'claude-copy', from: 'claude-x', stream: false }, limited);
+    assert.strictEqual(response.status, 403);
+  });
+
+  await t.test('health checks need no key and leave out the backend URLs', async () => {
+    const response = await server.request('GET', '/health');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.backends.map(backend => backend.name), ['default']);
+    assert.doesNotMatch(JSON.stringify(response.body), /http/);
+  });
+});
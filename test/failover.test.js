@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCircuitBreaker, sendWithFailover, parseRetryAfter } = require('../src/failover');
+
+const retry = { retries: 2, initialDelay: 1, maxDelay: 10 };
+const circuitBreaker = { failureThreshold: 3, cooldown: 60000 };
+
+const candidates = [
+  { backend: { name: 'primary' }, model: 'big' },
+  { backend: { name: 'secondary' }, model: 'small' }
+];
+
+// Helper function to create an upstream error like axios reports it
+const upstreamError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status: status, headers: headers, data: {} };
+  return error;
+}
+
+// Helper function to create a send function that answers from a list of outcomes, recording the attempts
+const scripted = (outcomes) => {
+  const attempts = [];
+  const send = async (candidate) => {
+    attempts.push(candidate.backend.name);
+    const outcome = outcomes[candidate.backend.name].shift();
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  }
+  return { send, attempts };
+}
+
+test('retryable errors are retried, then the next candidate is tried', async () => {
+  const { send, attempts } = scripted({
+    primary: [upstreamError(503), upstreamError(502), upstreamError(429)],
+    secondary: ['answer']
+  });
+  const events = [];
+  const response = await sendWithFailover(candidates, send, {
+    retry: retry,
+    circuitBreaker: { ...circuitBreaker, failureThreshold: 10 },
+    breaker: createCircuitBreaker(),
+    onEvent: (type, details) => events.push(type)
+  });
+  assert.strictEqual(response, 'answer');
+  assert.deepStrictEqual(attempts, ['primary', 'primary', 'primary', 'secondary']);
+  assert.deepStrictEqual(events, ['retry', 'retry', 'failover']);
+});
+
+test('errors that are not retryable are thrown right away', async () => {
+  const { send, attempts } = scripted({ primary: [upstreamError(400)], secondary: ['answer'] });
+  await assert.rejects(
+    sendWithFailover(candidates, send, { retry: retry, circuitBreaker: circuitBreaker, breaker: createCircuitBreaker() }),
+    (error) => error.response.status === 400
+  );
+  assert.deepStrictEqual(attempts, ['primary']);
+});
+
+test('the last upstream error is thrown when every candidate failed', async () => {
+  const { send } = scripted({ primary: [upstreamError(503)], secondary: [upstreamError(502)] });
+  await assert.rejects(
+    sendWithFailover(candidates, send, { retry: { ...retry, retries: 0 }, circuitBreaker: circuitBreaker, breaker: createCircuitBreaker() }),
+    (error) => error.response.status === 502
+  );
+});
+
+test('a Retry-After longer than the longest backoff fails over without waiting', async () => {
+  const { send, attempts } = scripted({ primary: [upstreamError(429, { 'retry-after': '120' })], secondary: ['answer'] });
+  const response = await sendWithFailover(candidates, send, { retry: retry, circuitBreaker: circuitBreaker, breaker: createCircuitBreaker() });
+  assert.strictEqual(response, 'answer');
+  assert.deepStrictEqual(attempts, ['primary', 'secondary']);
+});
+
+test('the circuit opens after repeated failures and skips the backend', async () => {
+  const breaker = createCircuitBreaker();
+  const { send, attempts } = scripted({
+    primary: [upstreamError(503), upstreamError(503), upstreamError(503)],
+    secondary: ['first', 'second']
+  });
+  const options = { retry: retry, circuitBreaker: circuitBreaker, breaker: breaker };
+
+  assert.strictEqual(await sendWithFailover(candidates, send, options), 'first');
+  assert.ok(breaker.isOpen('primary'));
+  assert.strictEqual(await sendWithFailover(candidates, send, options), 'second');
+  assert.deepStrictEqual(attempts, ['primary', 'primary', 'primary', 'secondary', 'secondary']);
+
+  await assert.rejects(sendWithFailover(candidates.slice(0, 1), send, options), (error) => error.status === 503);
+});
+
+test('a single probe is let through after the cooldown', () => {
+  const breaker = createCircuitBreaker();
+  const now = Date.now();
+  breaker.recordFailure('primary', { failureThreshold: 1, cooldown: 1000 }, now);
+  assert.strictEqual(breaker.allowRequest('primary', now + 500), false);
+  assert.strictEqual(breaker.allowRequest('primary', now + 1000), true);
+  assert.strictEqual(breaker.allowRequest('primary', now + 1000), false);
+
+  // A probe that ends without an answer lets the next request probe
+  breaker.releaseProbe('primary');
+  assert.strictEqual(breaker.allowRequest('primary', now + 1000), true);
+  breaker.recordSuccess('primary');
+  assert.strictEqual(breaker.isOpen('primary', now + 1000), false);
+});
+
+test('parseRetryAfter reads seconds and dates', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  assert.strictEqual(parseRetryAfter('2', now), 2000);
+  assert.strictEqual(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now), 5000);
+  assert.strictEqual(parseRetryAfter(undefined, now), null);
+  assert.strictEqual(parseRetryAfter('soon', now), null);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+// Helper function to read the translated requests of a capture file, waiting for the records to be written
+const readCapturedRequests = async (file, count) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const records = fs.existsSync(file) ? fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean).map(JSON.parse) : [];
+    if (records.length >= count) {
+      return records.map(record => record.openaiRequest);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`${file} has fewer than ${count} records`);
+}
+
+test('pre-rendered generate prompts', async (t) => {
+  const server = await startServer(dataDir => ({ logging: { capture: { file: path.join(dataDir, 'capture.jsonl') } } }));
+  const captureFile = path.join(server.dataDir, 'capture.jsonl');
+  t.after(() => server.stop());
+
+  await t.test('tool results without a tool call are sent as user messages', async () => {
+    const prompt = '<|im_start|>user\nWeather in Paris?<|im_end|>\n<|im_start|>tool\n{"temp": 20}<|im_end|>\n<|im_start|>assistant\n';
+    const response = await server.request('POST', '/api/generate', { model: 'fake', prompt: prompt, stream: false });
+    assert.strictEqual(response.status, 200);
+
+    const [openaiRequest] = await readCapturedRequests(captureFile, 1);
+    assert.deepStrictEqual(openaiRequest.messages, [
+      { role: 'user', content: 'Weather in Paris?' },
+      { role: 'user', content: '{"temp": 20}' }
+    ]);
+  });
+});
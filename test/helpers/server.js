@@ -0,0 +1,97 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Helper function to find a free local port
+const findFreePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Starts the proxy in a child process against the fake upstream (unless `args` choose another --mock mode),
+// with `config` as its config file (or the config `config(dataDir)` returns) and a fresh data directory.
+// Resolves once it listens to { url, dataDir, request, stop }; `stop` sends SIGTERM and waits for the
+// process to exit.
+const startServer = async (config = {}, args = []) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollama-proxy-test-'));
+  const configFile = path.join(dataDir, 'config.json');
+  fs.writeFileSync(configFile, JSON.stringify({ dataDir: dataDir, ...(typeof config === 'function' ? config(dataDir) : config) }));
+  const port = await findFreePort();
+
+  const child = spawn(process.execPath, [
+    path.join(__dirname, '..', '..', 'server.js'),
+    '--config', configFile,
+    '--ollama-host', '127.0.0.1',
+    '--ollama-port', String(port),
+    ...(args.includes('--mock') ? [] : ['--mock', 'fake']),
+    '--log-level', 'warn',
+    ...args
+  ], { stdio: ['ignore', 'pipe', 'pipe'] });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 10000);
+    const waitForPort = async () => {
+      while (child.exitCode === null) {
+        const connected = await new Promise(done => {
+          const socket = net.connect(port, '127.0.0.1', () => {
+            socket.end();
+            done(true);
+          });
+          socket.on('error', () => done(false));
+        });
+        if (connected) {
+          clearTimeout(timer);
+          resolve();
+          return;
+        }
+        await new Promise(done => setTimeout(done, 50));
+      }
+      clearTimeout(timer);
+      reject(new Error(`server exited:\n${output}`));
+    }
+    child.stdout.on('data', (data) => { output += data; });
+    child.stderr.on('data', (data) => { output += data; });
+    waitForPort();
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  return {
+    url: url,
+    dataDir: dataDir,
+    // Sends a JSON request and resolves to { status, headers, body }, the body parsed when it is JSON
+    request: async (method, route, body, headers = {}) => {
+      const response = await fetch(url + route, {
+        method: method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      let parsed = text;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        // Streams and empty bodies stay text
+      }
+      return { status: response.status, headers: response.headers, body: parsed };
+    },
+    stop: async () => {
+      if (child.exitCode === null) {
+        child.kill('SIGTERM');
+      }
+      await exited;
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  startServer
+};
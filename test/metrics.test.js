@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// Helper function to read the value of a metric series from the Prometheus text format
+const readMetric = (text, series) => {
+  const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+test('metrics', async (t) => {
+  const server = await startServer({ defaultModel: 'default-model' });
+  t.after(() => server.stop());
+  const chat = (model) => server.request('POST', '/api/chat', { model: model, messages: [{ role: 'user', content: 'hi' }], stream: false });
+
+  await t.test('models are labeled with the resolved, known model', async () => {
+    // "fake" is only known from the fake upstream's model list, read at startup
+    assert.strictEqual((await chat('fake')).status, 200);
+    assert.strictEqual((await chat('made-up-model')).status, 200);
+    assert.strictEqual((await chat(undefined)).status, 200);
+
+    const metrics = (await server.request('GET', '/metrics')).body;
+    assert.strictEqual(readMetric(metrics, 'ollama_proxy_requests_total{route="/api/chat",model="fake",backend="default",status="200"}'), 1);
+    assert.strictEqual(readMetric(metrics, 'ollama_proxy_requests_total{route="/api/chat",model="default-model",backend="default",status="200"}'), 1);
+    assert.strictEqual(readMetric(metrics, 'ollama_proxy_requests_total{route="/api/chat",model="other",backend="default",status="200"}'), 1);
+  });
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePrompt } = require('../src/prompt-formats');
+const fixtures = require('./fixtures/prompt-formats.json');
+
+// Every fixture is a prompt, the format setting it is parsed with and the messages it should turn into
+// (null for prompts that are sent as they are)
+for (const fixture of fixtures) {
+  test(`parsePrompt: ${fixture.name}`, () => {
+    assert.deepStrictEqual(parsePrompt(fixture.prompt, fixture.format), fixture.messages);
+  });
+}
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRequestQueue, parsePriority } = require('../src/queue');
+
+const limits = { maxConcurrent: 1, maxQueue: 10, queueTimeout: 60000 };
+
+test('requests wait for a free slot in priority order', async () => {
+  const queue = createRequestQueue(limits);
+  const first = await queue.acquire();
+  const started = [];
+  const waiting = [
+    queue.acquire(0).then(slot => { started.push('normal'); return slot; }),
+    queue.acquire(10).then(slot => { started.push('high'); return slot; }),
+    queue.acquire(0).then(slot => { started.push('second normal'); return slot; })
+  ];
+  assert.deepStrictEqual(queue.stats(), { active: 1, queued: 3, maxConcurrent: 1, maxQueue: 10 });
+
+  // Each request releases its slot once it started, letting the next one in
+  first.release();
+  for (const slot of [waiting[1], waiting[0], waiting[2]]) {
+    (await slot).release();
+  }
+  assert.deepStrictEqual(started, ['high', 'normal', 'second normal']);
+  assert.strictEqual(queue.stats().active, 0);
+});
+
+test('a full queue rejects requests with a 503', async () => {
+  const queue = createRequestQueue({ ...limits, maxQueue: 1 });
+  const first = await queue.acquire();
+  const second = queue.acquire();
+  await assert.rejects(queue.acquire(), (error) => error.status === 503 && /maximum pending requests exceeded/.test(error.message));
+  first.release();
+  (await second).release();
+});
+
+test('requests waiting too long are rejected with a 503', async () => {
+  const queue = createRequestQueue({ ...limits, queueTimeout: 20 });
+  const first = await queue.acquire();
+  await assert.rejects(queue.acquire(), (error) => error.status === 503 && /timed out/.test(error.message));
+  assert.strictEqual(queue.stats().queued, 0);
+  first.release();
+});
+
+test('cancelled requests leave the queue', async () => {
+  const queue = createRequestQueue(limits);
+  const first = await queue.acquire();
+  const controller = new AbortController();
+  const waiting = queue.acquire(0, controller.signal);
+  controller.abort();
+  await assert.rejects(waiting, (error) => error.code === 'ERR_CANCELED');
+  assert.strictEqual(queue.stats().queued, 0);
+  first.release();
+});
+
+test('raising the limit starts waiting requests', async () => {
+  const queue = createRequestQueue(limits);
+  const first = await queue.acquire();
+  const waiting = queue.acquire();
+  queue.configure({ ...limits, maxConcurrent: 2 });
+  (await waiting).release();
+  first.release();
+  assert.strictEqual(queue.stats().active, 0);
+});
+
+test('parsePriority reads names and numbers', () => {
+  assert.strictEqual(parsePriority(undefined), 0);
+  assert.strictEqual(parsePriority('5'), 5);
+  assert.ok(parsePriority('high') > parsePriority('low'));
+  assert.throws(() => parsePriority('urgent'), (error) => error.status === 400);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+test('API key usage and sessions are saved when the proxy is stopped', async (t) => {
+  // A data directory of its own, as stop() removes the server's
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ollama-proxy-shutdown-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const server = await startServer({
+    dataDir: dataDir,
+    apiKeys: [{ name: 'client', key: 'client-key' }],
+    sessions: { persist: true }
+  });
+  const response = await server.request('POST', '/api/generate', { model: 'fake', prompt: 'hello', stream: false }, { Authorization: 'Bearer client-key' });
+  assert.strictEqual(response.status, 200);
+  // Both stores wait a second before saving, so only the shutdown writes them here
+  await server.stop();
+
+  const usage = JSON.parse(fs.readFileSync(path.join(dataDir, 'api-keys.json'), 'utf8'));
+  assert.match(JSON.stringify(usage), /client/);
+  const sessions = fs.readFileSync(path.join(dataDir, 'sessions.json'), 'utf8');
+  assert.match(sessions, /You said: hello/);
+});
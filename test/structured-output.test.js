@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { startServer } = require('./helpers/server');
+
+// An upstream like an older llama.cpp build: it rejects response_format and reads json_schema instead.
+// The model `broken` rejects every request for another reason.
+const startUpstream = (requests) => new Promise((resolve) => {
+  const upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      if (req.url !== '/v1/chat/completions') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ object: 'list', data: [] }));
+        return;
+      }
+      const request = JSON.parse(body);
+      requests.push(request);
+      const reject = (message) => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { code: 400, message: message, type: 'invalid_request_error' } }));
+      }
+      if (request.model === 'broken') {
+        reject('the prompt is too long');
+        return;
+      }
+      if (request.response_format) {
+        reject('response_format type must be one of "text" or "json_object"');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 0,
+        model: request.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: '{"ok":true}' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 }
+      }));
+    });
+  });
+  upstream.listen(0, '127.0.0.1', () => resolve(upstream));
+});
+
+test('structured output falls back to json_schema', async (t) => {
+  const requests = [];
+  const upstream = await startUpstream(requests);
+  const server = await startServer({ upstream: { url: `http://127.0.0.1:${upstream.address().port}`, apiKey: 'test-key' } }, ['--mock', 'off']);
+  t.after(async () => {
+    await server.stop();
+    await new Promise(resolve => upstream.close(resolve));
+  });
+  const schema = { type: 'object', properties: { ok: { type: 'boolean' } } };
+
+  await t.test('a rejected response_format is retried as json_schema', async () => {
+    requests.length = 0;
+    for (const stream of [false, true]) {
+      const response = await server.request('POST', '/api/chat', { model: 'llama', messages: [{ role: 'user', content: 'hi' }], format: schema, stream: stream });
+      assert.strictEqual(response.status, 200);
+    }
+    assert.deepStrictEqual(requests.map(request => request.json_schema), [undefined, schema, undefined, schema]);
+  });
+
+  await t.test('other 400 errors are not retried', async () => {
+    requests.length = 0;
+    for (const stream of [false, true]) {
+      const response = await server.request('POST', '/api/chat', { model: 'broken', messages: [{ role: 'user', content: 'hi' }], format: 'json', stream: stream });
+      assert.strictEqual(response.status, 400);
+      assert.match(JSON.stringify(response.body), /the prompt is too long/);
+    }
+    assert.strictEqual(requests.length, 2);
+  });
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+// Helper function to read the NDJSON lines of a streamed Ollama response
+const parseLines = (body) => body.trim().split('\n').map(line => JSON.parse(line));
+
+const tools = [{
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Get the weather of a city',
+    parameters: { type: 'object', properties: { city: { type: 'string' } } }
+  }
+}];
+
+test('Ollama requests are translated through the fake upstream and back', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  await t.test('chat', async () => {
+    const response = await server.request('POST', '/api/chat', {
+      model: 'fake',
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'hello' }],
+      stream: false
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.model, 'fake');
+    assert.deepStrictEqual(response.body.message, { role: 'assistant', content: 'You said: hello' });
+    assert.strictEqual(response.body.done, true);
+    assert.strictEqual(response.body.done_reason, 'stop');
+    assert.ok(response.body.prompt_eval_count > 0);
+    assert.ok(response.body.eval_count > 0);
+  });
+
+  await t.test('streamed chat', async () => {
+    const response = await server.request('POST', '/api/chat', { model: 'fake', messages: [{ role: 'user', content: 'hello there' }] });
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+    const lines = parseLines(response.body);
+    assert.ok(lines.length > 2);
+    assert.strictEqual(lines.map(line => line.message.content).join(''), 'You said: hello there');
+    assert.ok(lines.slice(0, -1).every(line => line.done === false));
+    assert.strictEqual(lines[lines.length - 1].done, true);
+    assert.strictEqual(lines[lines.length - 1].done_reason, 'stop');
+  });
+
+  await t.test('streamed generate', async () => {
+    const response = await server.request('POST', '/api/generate', { model: 'fake', prompt: 'hello' });
+    assert.strictEqual(response.status, 200);
+    const lines = parseLines(response.body);
+    assert.strictEqual(lines.map(line => line.response).join(''), 'You said: hello');
+    assert.strictEqual(lines[lines.length - 1].done, true);
+    assert.ok(lines[lines.length - 1].context.length > 0);
+  });
+
+  await t.test('tool calls', async () => {
+    const response = await server.request('POST', '/api/chat', {
+      model: 'fake-tool',
+      messages: [{ role: 'user', content: 'weather in Paris?' }],
+      tools: tools,
+      stream: false
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.message.tool_calls, [{ id: 'call_0', function: { name: 'get_weather', arguments: {} } }]);
+  });
+
+  await t.test('thinking', async () => {
+    const response = await server.request('POST', '/api/chat', {
+      model: 'fake-think',
+      messages: [{ role: 'user', content: 'hello' }],
+      think: true,
+      stream: false
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.message.thinking, 'Let me think about that.');
+    assert.strictEqual(response.body.message.content, 'You said: hello');
+  });
+
+  await t.test('upstream errors', async () => {
+    const response = await server.request('POST', '/api/chat', { model: 'fake-error', messages: [{ role: 'user', content: 'hello' }], stream: false });
+    assert.strictEqual(response.status, 500);
+    // The upstream's error body is passed on as the error
+    assert.strictEqual(response.body.error.error.message, 'simulated upstream error');
+  });
+});
+
+// A minimal OpenAI-compatible upstream that streams a fixed answer
+const startUpstream = () => new Promise((resolve) => {
+  const upstream = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (data) => { body += data; });
+    req.on('end', () => {
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ object: 'list', data: [{ id: 'recorded', object: 'model', created: 0, owned_by: 'test' }] }));
+        return;
+      }
+      const request = JSON.parse(body);
+      const chunk = (delta, finishReason) => `data: ${JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion.chunk',
+        created: 0,
+        model: request.model,
+        choices: [{ index: 0, delta: delta, finish_reason: finishReason || null }]
+      })}\n\n`;
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(chunk({ role: 'assistant', content: 'Recorded ' }));
+      res.write(chunk({ content: 'answer' }));
+      res.write(chunk({}, 'stop'));
+      res.end('data: [DONE]\n\n');
+    });
+  });
+  upstream.listen(0, '127.0.0.1', () => resolve(upstream));
+});
+
+test('a recorded cassette is replayed without the upstream', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ollama-proxy-cassette-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const cassette = path.join(directory, 'chat.json');
+  const request = { model: 'recorded', messages: [{ role: 'user', content: 'hello' }] };
+
+  const upstream = await startUpstream();
+  const recorder = await startServer({ upstream: { url: `http://127.0.0.1:${upstream.address().port}`, apiKey: 'test-key' } }, ['--mock', 'record', '--cassette', cassette]);
+  const recorded = await recorder.request('POST', '/api/chat', request);
+  // The stream is saved once the upstream ends it, which can be just after the answer is complete
+  let exchange;
+  for (let attempt = 0; attempt < 50 && !exchange; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    exchange = JSON.parse(fs.readFileSync(cassette, 'utf8')).exchanges.find(candidate => candidate.request.url === '/v1/chat/completions');
+  }
+  await recorder.stop();
+  await new Promise(resolve => upstream.close(resolve));
+
+  assert.strictEqual(recorded.status, 200);
+  assert.strictEqual(parseLines(recorded.body).map(line => line.message.content).join(''), 'Recorded answer');
+  assert.strictEqual(exchange.response.chunks.map(chunk => chunk.data).join('').match(/^data: /gm).length, 4);
+
+  // The upstream is gone, so every answer comes from the cassette
+  const replayer = await startServer({ upstream: { url: 'http://127.0.0.1:9' } }, ['--mock', 'replay', '--cassette', cassette]);
+  t.after(() => replayer.stop());
+
+  const replayed = await replayer.request('POST', '/api/chat', request);
+  assert.strictEqual(replayed.status, 200);
+  const lines = parseLines(replayed.body);
+  assert.strictEqual(lines.map(line => line.message.content).join(''), 'Recorded answer');
+  assert.strictEqual(lines[lines.length - 1].done, true);
+
+  const missed = await replayer.request('POST', '/api/chat', { ...request, messages: [{ role: 'user', content: 'something else' }], stream: false });
+  assert.strictEqual(missed.status, 404);
+  assert.strictEqual(missed.body.error.error.type, 'cassette_miss');
+});
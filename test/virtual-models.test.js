@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers/server');
+
+// A 1x1 PNG
+const png = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const chatTemplate = '{{- range .Messages }}<|im_start|>{{ .Role }}\n{{ .Content }}<|im_end|>\n{{ end }}<|im_start|>assistant\n';
+const promptTemplate = '{{ if .System }}SYS: {{ .System }}\n{{ end }}Q: {{ .Prompt }}\nA: {{ .Response }}';
+
+test('virtual model templates', async (t) => {
+  const server = await startServer();
+  t.after(() => server.stop());
+
+  const create = (model, template) => server.request('POST', '/api/create', {
+    model: model,
+    modelfile: `FROM fake\nSYSTEM Be brief.\nTEMPLATE """${template}"""`,
+    stream: false
+  });
+
+  await t.test('a template the proxy can render is applied to generate requests', async () => {
+    assert.strictEqual((await create('prompt-model', promptTemplate)).status, 200);
+    const response = await server.request('POST', '/api/generate', { model: 'prompt-model', prompt: 'hello', stream: false });
+    assert.strictEqual(response.status, 200);
+    // The fake upstream echoes the rendered prompt
+    assert.strictEqual(response.body.response, 'You said: SYS: Be brief.\nQ: hello\nA: ');
+  });
+
+  await t.test('a chat template is stored and generate requests go through chat', async () => {
+    assert.strictEqual((await create('chat-model', chatTemplate)).status, 200);
+    const show = await server.request('POST', '/api/show', { model: 'chat-model' });
+    assert.strictEqual(show.body.template, chatTemplate);
+
+    const response = await server.request('POST', '/api/generate', { model: 'chat-model', prompt: 'hello', stream: false });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.response, 'You said: hello');
+    // Chat requests continue through context sessions
+    assert.ok(response.body.context.length > 0);
+  });
+
+  await t.test('requests with images skip the template', async () => {
+    const response = await server.request('POST', '/api/generate', { model: 'prompt-model', prompt: 'hello', images: [png], stream: false });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.response, 'You said: hello');
+  });
+});